@@ -6,9 +6,31 @@
  * 
  * Features:
  * - Multiple trigger types (time, scroll, click, exit intent, page load, manual)
- * - Frequency controls (always, once per session/day/week)
- * - Device-specific visibility (mobile/desktop)
- * - Accessibility compliant (ARIA, keyboard navigation)
+ * - Mobile exit intent (fast upward scroll, back button, returning to the tab)
+ * - Cart-aware triggers (add to cart, cart total threshold, cart abandonment)
+ * - Behavioural triggers (idle, engaged time, pages viewed, element in view)
+ * - Frequency controls (once per session/day/week, cooldowns, max impressions, suppression)
+ * - Scheduling (start/end dates, days of the week, hours) in the shop's timezone
+ * - Storage backends (localStorage, cookie, memory) gated by Customer Privacy consent
+ * - Cross-tab sync of impressions and conversions
+ * - Lifecycle management for the theme editor and AJAX navigation
+ * - Declarative open/toggle/close attributes and deep links (#modal=id)
+ * - Priority queue so only one modal is open at a time
+ * - Stacked modals opened from inside another modal, with layering and a counted scroll lock
+ * - Scroll lock without layout shift, including iOS Safari
+ * - Device targeting (breakpoints, touch vs pointer, orientation), re-checked on resize; bots excluded
+ * - Targeting rules (URL, UTM, referrer, customer, cart, visitor)
+ * - A/B and multivariate testing with sticky, weighted variants
+ * - Analytics adapters (gtag, GTM dataLayer, Meta Pixel, Shopify, custom)
+ * - AJAX form submission with inline success and error states
+ * - Discount code reveal, copy and apply
+ * - Multi-step flows with branching, answers and progress
+ * - Programmatic creation (create, open, destroy)
+ * - Lazy remote content (Section Rendering API, page views, product URLs)
+ * - Product quick view with variant picker and add to cart
+ * - Gallery lightbox with grouping, captions, swipe, pinch-zoom and keyboard navigation
+ * - Video players created on open, paused on close, with progress and completion events
+ * - Accessibility compliant (ARIA, keyboard navigation, focus trap and restore)
  * - Development mode for testing
  * - Theme-agnostic design
  * 
@@ -20,10 +42,99 @@ class ModalManager {
     this.scrollListeners = new Set();
     this.exitIntentListeners = new Set();
     this.isInitialized = false;
+    this.queue = {
+      pending: [],
+      activeId: null,
+      shownCount: 0,
+      maxPerPage: 0
+    };
+    this.focusTrap = {
+      stack: [],
+      inerted: []
+    };
+    this.stack = [];
+    this.scrollLock = {
+      count: 0,
+      fixed: false,
+      scrollX: 0,
+      scrollY: 0,
+      styles: null
+    };
+    this.targeting = {
+      skipped: new Map(),
+      cart: null,
+      utm: null,
+      visitor: null
+    };
+    this.analytics = {
+      adapters: {
+        gtag: (eventName, payload) => {
+          if (typeof window.gtag === 'function') window.gtag('event', eventName, payload);
+        },
+        dataLayer: (eventName, payload) => {
+          if (Array.isArray(window.dataLayer)) window.dataLayer.push({ event: eventName, ...payload });
+        },
+        metaPixel: (eventName, payload) => {
+          if (typeof window.fbq === 'function') window.fbq('trackCustom', eventName, payload);
+        },
+        shopify: (eventName, payload) => {
+          const shopifyAnalytics = window.Shopify && window.Shopify.analytics;
+          if (shopifyAnalytics && typeof shopifyAnalytics.publish === 'function') {
+            shopifyAnalytics.publish(eventName, payload);
+          }
+        }
+      },
+      custom: new Set()
+    };
+    this.remoteContent = new Map();
+    this.history = {
+      maxEntries: 50,
+      maxAge: 90 * 24 * 60 * 60 * 1000
+    };
+    this.products = new Map();
+    this.video = {
+      youtubeApi: null
+    };
+    this.schedule = {
+      timezone: '',
+      skipped: new Set(),
+      timer: null
+    };
+    this.device = {
+      breakpoint: 768,
+      isBot: false,
+      skipped: new Set(),
+      resizeTimer: null
+    };
+    this.engagement = {
+      total: 0,
+      visibleSince: document.hidden ? null : Date.now(),
+      subscribers: new Set()
+    };
+    this.sync = {
+      id: Math.random().toString(36).slice(2),
+      channel: null
+    };
+    this.navigation = {
+      lastUrl: window.location.href
+    };
+    this.cartWatcher = {
+      installed: false,
+      subscribers: new Set(),
+      refreshTimer: null
+    };
     this.storage = {
       prefix: 'modal_',
-      session: sessionStorage,
-      local: localStorage
+      type: 'local',
+      cookieDomain: '',
+      respectConsent: true,
+      consent: 'granted',
+      backends: {},
+      persistent: null,
+      pending: null,
+      removed: new Set(),
+      session: null,
+      local: null
     };
     
     this.init();
@@ -38,34 +149,143 @@ class ModalManager {
     if (this.isInitialized) return;
     this.isInitialized = true;
 
+    // Visitor and impression data must be ready before modals are registered
+    this.setupStorage(window.ModalManagerConfig || {});
+    this.setupDevice(window.ModalManagerConfig || {});
+    this.schedule.timezone = (window.ModalManagerConfig || {}).timezone || '';
+    this.cleanupOldData();
+    this.targeting.utm = this.trackUtmParams();
+    this.targeting.visitor = this.trackVisitor();
+
+    const start = () => {
+      this.discoverModals();
+      this.syncWithUrl({ initial: true });
+    };
+
     if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', () => this.discoverModals());
+      document.addEventListener('DOMContentLoaded', start);
     } else {
-      this.discoverModals();
+      start();
     }
 
+    document.addEventListener('click', (e) => this.handleDeclarativeClick(e));
+    window.addEventListener('popstate', () => this.syncWithUrl());
+    window.addEventListener('hashchange', () => this.syncWithUrl());
+    window.addEventListener('message', (e) => this.handleVideoMessage(e));
+
     document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
-    this.cleanupOldData();
+    document.addEventListener('keydown', (e) => this.handleEscapeKey(e));
+    document.addEventListener('keydown', (e) => this.handleFocusTrapKeydown(e));
+    document.addEventListener('focusin', (e) => this.handleFocusTrapFocusIn(e));
+    this.setupSync();
+    this.setupThemeEditor();
+    this.trackPendingFormResult();
   }
 
   /**
-   * Discover and register all modal elements in the DOM
+   * Discover and register modal elements in the DOM.
+   * Modals that are already registered with the same element are left alone;
+   * a modal whose element was replaced is registered again.
+   * @param {ParentNode} [root] - Where to look (default: document)
+   * @param {Object} [options] - Registration options passed to registerModal
+   * @returns {Array<string>} Identifiers of the modal elements found
    * @private
    */
-  discoverModals() {
-    const modalElements = document.querySelectorAll('[data-modal-trigger-type]');
-    
+  discoverModals(root = document, options = {}) {
+    const selector = '[data-modal-trigger-type]';
+    const modalElements = Array.from(root.querySelectorAll(selector));
+    if (root.matches && root.matches(selector)) modalElements.unshift(root);
+
+    const modalIds = [];
     modalElements.forEach(modal => {
       const modalId = modal.dataset.modalId;
       if (!modalId) return;
 
+      modalIds.push(modalId);
+      const registered = this.modals.get(modalId);
+      if (registered && registered.element === modal) return;
+      if (registered) this.unregisterModal(modalId);
+
       const config = this.parseModalConfig(modal);
-      this.registerModal(modalId, config, modal);
+      this.registerModal(modalId, config, modal, options);
     });
 
     if (this.isDebugMode()) {
       console.log(`Modal Manager: Discovered ${modalElements.length} modals`);
     }
+
+    return modalIds;
+  }
+
+  /**
+   * Keep modals in sync with the theme editor: register modals in loaded
+   * sections, unregister them when their section is removed, and open a
+   * modal while its section is selected
+   * @private
+   */
+  setupThemeEditor() {
+    document.addEventListener('shopify:section:load', (e) => {
+      this.discoverModals(e.target);
+    });
+
+    document.addEventListener('shopify:section:unload', (e) => {
+      this.getModalIdsIn(e.target).forEach(modalId => this.unregisterModal(modalId));
+    });
+
+    document.addEventListener('shopify:section:select', (e) => {
+      // Register even when frequency, targeting or device rules would skip it
+      const modalIds = this.discoverModals(e.target, { force: true });
+      if (!modalIds.length) return;
+
+      Array.from(this.modals.entries()).forEach(([modalId, config]) => {
+        if ((config.isShown || config.forced) && !modalIds.includes(modalId)) {
+          this.endPreview(modalId, { skipQueue: true });
+        }
+      });
+
+      // Previews are not impressions: skip tracking, history and the URL hash
+      modalIds.forEach(modalId => {
+        const config = this.modals.get(modalId);
+        if (config && !config.isShown) this.showModal(modalId, { preview: true });
+      });
+    });
+
+    document.addEventListener('shopify:section:deselect', (e) => {
+      this.getModalIdsIn(e.target).forEach(modalId => this.endPreview(modalId));
+    });
+  }
+
+  /**
+   * Close a modal previewed in the theme editor. A modal that was only
+   * registered for the preview goes through the usual device, schedule,
+   * targeting and frequency checks again, so an ineligible modal doesn't
+   * keep its trigger.
+   * @param {string} modalId - Modal identifier
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.skipQueue] - Don't show the next queued modal afterwards
+   * @private
+   */
+  endPreview(modalId, options = {}) {
+    const config = this.modals.get(modalId);
+    if (!config) return;
+
+    this.closeModal(modalId, { force: true, skipQueue: options.skipQueue, reason: 'api' });
+    if (!config.forced) return;
+
+    this.unregisterModal(modalId);
+    this.registerModal(modalId, this.parseModalConfig(config.element), config.element);
+  }
+
+  /**
+   * Find registered modals inside an element
+   * @param {HTMLElement} root - Container element
+   * @returns {Array<string>} Modal identifiers
+   * @private
+   */
+  getModalIdsIn(root) {
+    return Array.from(this.modals.entries())
+      .filter(([, config]) => root.contains(config.element))
+      .map(([modalId]) => modalId);
   }
 
   /**
@@ -82,12 +302,65 @@ class ModalManager {
       triggerType: dataset.modalTriggerType || 'page-load',
       triggerValue: dataset.modalTriggerValue || '0',
       frequency: dataset.modalFrequency || 'once-per-session',
+      cooldown: this.parseDuration(dataset.modalCooldown),
+      maxImpressions: parseInt(dataset.modalMaxImpressions) || 0,
+      suppressAfterConversion: dataset.modalSuppressAfterConversion === 'true',
+      showOnPageView: parseInt(dataset.modalShowOnPageView) || 0,
+      closeWhenConvertedElsewhere: dataset.modalSyncClose === 'true',
+      exitMode: dataset.modalExitMode || 'auto',
+      exitHeuristics: (dataset.modalExitHeuristics || 'scroll,back,tab').split(',').map(name => name.trim()),
+      exitScrollSpeed: parseInt(dataset.modalExitScrollSpeed) || 1500,
+      exitHiddenTime: parseInt(dataset.modalExitHiddenTime) || 5,
+      hashSync: dataset.modalHashSync !== 'false',
+      historyMode: null,
+      historyBase: null,
+      requested: false,
+      resumed: false,
+      parentDisplay: dataset.modalParentDisplay || 'dim',
+      parentId: null,
+      scrollLocked: false,
+      preview: false,
+      forced: false,
       delay: parseInt(dataset.modalDelay) || 0,
       mobileEnabled: dataset.modalMobile !== 'false',
       desktopEnabled: dataset.modalDesktop !== 'false',
+      breakpoint: parseInt(dataset.modalBreakpoint) || 0,
+      pointer: dataset.modalPointer || 'any',
+      orientation: dataset.modalOrientation || 'any',
+      schedule: this.parseSchedule(dataset, dataset.modalId),
       closeOnOutsideClick: dataset.modalCloseOutside !== 'false',
       autoCloseAfter: parseInt(dataset.modalAutoClose) || 0,
       devMode: dataset.modalDevMode === 'true',
+      priority: parseInt(dataset.modalPriority) || 0,
+      conflict: dataset.modalConflict || 'queue',
+      maxPerPage: parseInt(dataset.modalMaxPerPage) || 0,
+      rules: this.parseRules(dataset.modalRules, dataset.modalId),
+      variants: this.parseVariants(modal),
+      variant: null,
+      formAjax: dataset.modalFormAjax !== 'false',
+      formSuccessAction: dataset.modalFormSuccessAction || 'message',
+      formSuccessMessage: dataset.modalFormSuccessMessage || 'Thanks for subscribing!',
+      discountCode: dataset.modalDiscountCode || '',
+      discountPool: (dataset.modalDiscountPool || '').split(/[\s,]+/).filter(Boolean),
+      discountApply: dataset.modalDiscountApply || 'redirect',
+      stepState: null,
+      src: dataset.modalSrc || '',
+      srcSection: dataset.modalSrcSection || '',
+      srcSelector: dataset.modalSrcSelector || '',
+      srcState: null,
+      srcRequest: null,
+      contentType: dataset.modalContentType || 'content',
+      productHandle: dataset.modalProductHandle || '',
+      gallerySelector: dataset.modalGallerySelector || 'img[data-modal-gallery], [data-modal-gallery] img',
+      gallery: null,
+      videoAutoplay: dataset.modalVideoAutoplay !== 'false',
+      videoOnClose: dataset.modalVideoOnClose || 'pause',
+      videoCloseOnEnd: dataset.modalVideoCloseOnEnd === 'true',
+      videos: [],
+      teardown: [],
+      triggerTeardown: [],
+      hideTimer: null,
+      autoCloseTimer: null,
       isShown: false,
       lastShown: null
     };
@@ -98,477 +371,5354 @@ class ModalManager {
    * @param {string} modalId - Unique modal identifier
    * @param {Object} config - Modal configuration
    * @param {HTMLElement} element - Modal DOM element
+   * @param {Object} [options] - Registration options
+   * @param {boolean} [options.force] - Skip device, targeting and frequency checks (theme editor)
+   * @param {boolean} [options.ignoreFrequency] - Skip the frequency check (opened by the visitor)
+   * @returns {boolean} Whether the modal was registered
    * @private
    */
-  registerModal(modalId, config, element) {
-    if (!this.isDeviceCompatible(config)) {
-      if (this.isDebugMode()) {
-        console.log(`Modal ${modalId}: Skipped (device not compatible)`);
-      }
-      return;
-    }
+  registerModal(modalId, config, element, options = {}) {
+    if (!options.force && !this.canRegisterModal(modalId, config, options)) return false;
 
-    if (!this.canShowModal(modalId, config.frequency)) {
-      if (this.isDebugMode()) {
-        console.log(`Modal ${modalId}: Skipped (frequency restriction)`);
-      }
-      return;
+    this.targeting.skipped.delete(modalId);
+    config.forced = !!options.force;
+    this.modals.set(modalId, config);
+    this.assignVariant(modalId, config);
+
+    if (config.maxPerPage > 0 && (!this.queue.maxPerPage || config.maxPerPage < this.queue.maxPerPage)) {
+      this.queue.maxPerPage = config.maxPerPage;
     }
 
-    this.modals.set(modalId, config);
     this.setupModalTrigger(modalId, config);
     this.setupModalEvents(element);
     
     if (this.isDebugMode()) {
       console.log(`Modal ${modalId}: Registered with trigger "${config.triggerType}"`);
     }
-  }
 
-  /**
-   * Check if modal is compatible with current device
-   * @param {Object} config - Modal configuration
-   * @returns {boolean} Device compatibility
-   * @private
-   */
-  isDeviceCompatible(config) {
-    const isMobile = window.innerWidth <= 768;
-    return isMobile ? config.mobileEnabled : config.desktopEnabled;
+    return true;
   }
 
   /**
-   * Check if modal can be shown based on frequency restrictions
+   * Run the registration checks: device, schedule, targeting rules and frequency
    * @param {string} modalId - Modal identifier
-   * @param {string} frequency - Frequency setting
-   * @returns {boolean} Whether modal can be shown
+   * @param {Object} config - Modal configuration
+   * @param {Object} [options] - Registration options (see registerModal)
+   * @returns {boolean} Whether the modal should be registered
    * @private
    */
-  canShowModal(modalId, frequency) {
-    const config = this.modals.get(modalId);
-    
-    if (config && config.devMode) {
+  canRegisterModal(modalId, config, options = {}) {
+    if (this.device.isBot) {
       if (this.isDebugMode()) {
-        console.log(`Dev Mode: Modal ${modalId} can always show`);
+        console.log(`Modal ${modalId}: Skipped (bot or crawler)`);
       }
-      return true;
+      return false;
     }
 
-    const key = this.storage.prefix + modalId;
+    if (!this.isDeviceCompatible(config)) {
+      this.device.skipped.add(modalId);
+      if (this.isDebugMode()) {
+        console.log(`Modal ${modalId}: Skipped (device not compatible)`);
+      }
+      return false;
+    }
+    this.device.skipped.delete(modalId);
 
-    switch (frequency) {
-      case 'always':
-        return true;
-        
-      case 'once-per-session':
-        return !this.storage.session.getItem(key + '_session');
-        
-      case 'once-per-day':
-        const lastDay = this.storage.local.getItem(key + '_day');
-        const todayKey = new Date().toDateString();
-        return lastDay !== todayKey;
-        
-      case 'once-per-week':
-        const lastWeek = parseInt(this.storage.local.getItem(key + '_week')) || 0;
-        const thisWeek = this.getWeekNumber();
-        return lastWeek !== thisWeek;
-        
-      default:
-        return true;
+    if (config.schedule) {
+      this.watchSchedules();
+
+      if (!this.isWithinSchedule(config)) {
+        this.schedule.skipped.add(modalId);
+        if (this.isDebugMode()) {
+          console.log(`Modal ${modalId}: Skipped (outside schedule)`);
+        }
+        return false;
+      }
+    }
+    this.schedule.skipped.delete(modalId);
+
+    const blockingRule = this.evaluateRule(config.rules, this.getTargetingContext(config), { deferDynamic: true });
+    if (blockingRule) {
+      this.targeting.skipped.set(modalId, blockingRule);
+      if (this.isDebugMode()) {
+        console.log(`Modal ${modalId}: Skipped (targeting rule ${this.describeRule(blockingRule)})`);
+      }
+      return false;
+    }
+
+    // Galleries only open when the visitor clicks an image
+    const frequencyBlock = options.ignoreFrequency || config.contentType === 'gallery' ? null : this.getFrequencyBlock(modalId, config);
+    if (frequencyBlock) {
+      if (this.isDebugMode()) {
+        console.log(`Modal ${modalId}: Skipped (frequency: ${frequencyBlock})`);
+      }
+      return false;
     }
+
+    return true;
   }
 
   /**
-   * Setup trigger for modal based on configuration
-   * @param {string} modalId - Modal identifier
+   * Check if modal is compatible with current device: viewport width against
+   * the breakpoint, pointer type and orientation
    * @param {Object} config - Modal configuration
+   * @returns {boolean} Device compatibility
    * @private
    */
-  setupModalTrigger(modalId, config) {
-    switch (config.triggerType) {
-      case 'time':
-        this.setupTimeTrigger(modalId, config);
-        break;
-        
-      case 'scroll':
-        this.setupScrollTrigger(modalId, config);
-        break;
-        
-      case 'click':
-        this.setupClickTrigger(modalId, config);
-        break;
-        
-      case 'exit':
-        this.setupExitIntentTrigger(modalId, config);
-        break;
-        
-      case 'page-load':
-        this.setupPageLoadTrigger(modalId, config);
-        break;
-        
-      case 'manual':
-        break;
-        
-      default:
-        console.warn(`Unknown trigger type: ${config.triggerType}`);
+  isDeviceCompatible(config) {
+    if (!(this.isMobileViewport(config) ? config.mobileEnabled : config.desktopEnabled)) {
+      return false;
+    }
+
+    if (config.pointer !== 'any' && !this.matchesMedia(`(pointer: ${config.pointer})`)) {
+      return false;
+    }
+
+    if (config.orientation !== 'any' && !this.matchesMedia(`(orientation: ${config.orientation})`)) {
+      return false;
     }
+
+    return true;
   }
 
   /**
-   * Setup time-based trigger
-   * @param {string} modalId - Modal identifier
+   * Check whether the viewport is at or below the modal's mobile breakpoint
    * @param {Object} config - Modal configuration
+   * @returns {boolean} Whether the viewport counts as mobile
    * @private
    */
-  setupTimeTrigger(modalId, config) {
-    const delay = (parseInt(config.triggerValue) * 1000) + (config.delay * 1000);
-    
-    setTimeout(() => {
-      this.triggerModal(modalId);
-    }, delay);
+  isMobileViewport(config) {
+    return window.innerWidth <= (config.breakpoint || this.device.breakpoint);
   }
 
   /**
-   * Setup scroll percentage trigger
-   * @param {string} modalId - Modal identifier
-   * @param {Object} config - Modal configuration
+   * Evaluate a media query, treating a missing matchMedia as a match
+   * @param {string} query - Media query
+   * @returns {boolean} Whether the query matches
    * @private
    */
-  setupScrollTrigger(modalId, config) {
-    const targetPercent = parseInt(config.triggerValue) || 50;
-    
-    const scrollHandler = () => {
-      const scrollPercent = (window.scrollY / (document.documentElement.scrollHeight - window.innerHeight)) * 100;
-      
-      if (scrollPercent >= targetPercent) {
-        setTimeout(() => {
-          this.triggerModal(modalId);
-        }, config.delay * 1000);
-        
-        window.removeEventListener('scroll', scrollHandler);
-        this.scrollListeners.delete(scrollHandler);
+  matchesMedia(query) {
+    return typeof window.matchMedia !== 'function' || window.matchMedia(query).matches;
+  }
+
+  /**
+   * Set up device detection: the global breakpoint, bot detection, and
+   * re-evaluation when the viewport is resized, rotated or the pointer changes
+   * @param {Object} options - Device options (see window.ModalManagerConfig)
+   * @param {number} [options.breakpoint] - Widest viewport treated as mobile (default: 768)
+   * @private
+   */
+  setupDevice(options) {
+    this.device.breakpoint = parseInt(options.breakpoint) || this.device.breakpoint;
+    this.device.isBot = navigator.webdriver === true ||
+      /bot|crawl|spider|slurp|mediapartners|facebookexternalhit|bingpreview|lighthouse|pagespeed|headlesschrome|pingdom|ahrefs|semrush|yandex|baidu/i.test(navigator.userAgent);
+
+    if (this.device.isBot) {
+      if (this.isDebugMode()) {
+        console.log('Modal Manager: Bot or crawler detected, modals disabled');
       }
+      return;
+    }
+
+    const reevaluate = () => {
+      clearTimeout(this.device.resizeTimer);
+      this.device.resizeTimer = setTimeout(() => this.reevaluateDevice(), 150);
     };
 
-    this.scrollListeners.add(scrollHandler);
-    window.addEventListener('scroll', scrollHandler, { passive: true });
+    window.addEventListener('resize', reevaluate, { passive: true });
+
+    if (typeof window.matchMedia === 'function') {
+      ['(orientation: portrait)', '(pointer: coarse)'].forEach(query => {
+        const media = window.matchMedia(query);
+        if (media.addEventListener) media.addEventListener('change', reevaluate);
+      });
+    }
   }
 
   /**
-   * Setup click trigger
-   * @param {string} modalId - Modal identifier
-   * @param {Object} config - Modal configuration
+   * Re-check device compatibility after a viewport change. Only pending
+   * triggers change: a modal that no longer fits has its trigger cancelled and
+   * re-armed once it fits again, and modals skipped for their device are
+   * registered once they fit. Open modals are never closed, since opening the
+   * soft keyboard in a modal's form resizes the viewport.
    * @private
    */
-  setupClickTrigger(modalId, config) {
-    const selector = config.triggerValue;
-    
-    if (!selector) {
-      console.warn(`Click trigger requires a selector for modal ${modalId}`);
-      return;
-    }
+  reevaluateDevice() {
+    const skipped = Array.from(this.device.skipped);
 
-    document.addEventListener('click', (e) => {
-      if (e.target.matches(selector) || e.target.closest(selector)) {
-        e.preventDefault();
-        
-        setTimeout(() => {
-          this.triggerModal(modalId);
-        }, config.delay * 1000);
+    this.modals.forEach((config, modalId) => {
+      const compatible = this.isDeviceCompatible(config);
+
+      if (compatible && this.device.skipped.has(modalId)) {
+        this.device.skipped.delete(modalId);
+        this.setupModalTrigger(modalId, config);
+
+        if (this.isDebugMode()) {
+          console.log(`Modal ${modalId}: Compatible with this device again, trigger re-armed`);
+        }
+      } else if (!compatible && !this.device.skipped.has(modalId)) {
+        this.device.skipped.add(modalId);
+        this.cancelTrigger(modalId, 'device');
+
+        if (this.isDebugMode()) {
+          console.log(`Modal ${modalId}: No longer compatible with this device, trigger cancelled`);
+        }
+      }
+    });
+
+    skipped.forEach(modalId => {
+      if (this.modals.has(modalId)) return;
+
+      const element = this.findModalElement(modalId);
+      if (!element) {
+        this.device.skipped.delete(modalId);
+        return;
+      }
+
+      const config = this.parseModalConfig(element);
+      if (this.isDeviceCompatible(config)) {
+        this.registerModal(modalId, config, element);
       }
     });
   }
 
   /**
-   * Setup exit intent trigger (desktop only)
+   * Find a modal element in the page by its identifier
    * @param {string} modalId - Modal identifier
-   * @param {Object} config - Modal configuration
+   * @returns {HTMLElement|null} Modal element
    * @private
    */
-  setupExitIntentTrigger(modalId, config) {
-    if (window.innerWidth <= 768) return;
+  findModalElement(modalId) {
+    return Array.from(document.querySelectorAll('[data-modal-trigger-type]'))
+      .find(element => element.dataset.modalId === modalId) || null;
+  }
 
-    const exitHandler = (e) => {
-      if (e.clientY <= 0 && e.relatedTarget === null) {
-        setTimeout(() => {
-          this.triggerModal(modalId);
-        }, config.delay * 1000);
-        
-        document.removeEventListener('mouseout', exitHandler);
-        this.exitIntentListeners.delete(exitHandler);
-      }
+  /**
+   * Read a modal's campaign window from its data attributes.
+   * Dates without an offset are in the modal's timezone (data-modal-timezone,
+   * else window.ModalManagerConfig.timezone, else the shop's UTC offset when
+   * the page was rendered, else the visitor's). An end date without a time
+   * includes that whole day. A schedule with an invalid value never shows,
+   * so a typo can't turn a limited campaign into an always-on one.
+   * @param {DOMStringMap} dataset - Modal data attributes
+   * @param {string} modalId - Modal identifier (for warnings)
+   * @returns {Object|null} { timezone, start, end, days, hours, invalid }, or null when unscheduled
+   * @private
+   */
+  parseSchedule(dataset, modalId) {
+    const { modalScheduleStart, modalScheduleEnd, modalScheduleDays, modalScheduleHours } = dataset;
+    if (!modalScheduleStart && !modalScheduleEnd && !modalScheduleDays && !modalScheduleHours) return null;
+
+    const timezone = dataset.modalTimezone || this.schedule.timezone || dataset.modalShopOffset || '';
+    const schedule = {
+      timezone,
+      start: modalScheduleStart ? this.parseScheduleDate(modalScheduleStart, timezone) : null,
+      end: modalScheduleEnd ? this.parseScheduleDate(modalScheduleEnd, timezone, { endOfDay: true }) : null,
+      days: this.parseScheduleDays(modalScheduleDays || ''),
+      hours: this.parseScheduleHours(modalScheduleHours || ''),
+      invalid: false
     };
 
-    this.exitIntentListeners.add(exitHandler);
-    document.addEventListener('mouseout', exitHandler);
+    if (Number.isNaN(schedule.start) || Number.isNaN(schedule.end)) {
+      console.warn(`Modal ${modalId}: Invalid schedule date, expected YYYY-MM-DD or YYYY-MM-DD HH:MM; the modal won't show`);
+      schedule.invalid = true;
+    }
+
+    if (!schedule.days) {
+      console.warn(`Modal ${modalId}: Invalid schedule days "${modalScheduleDays}", expected e.g. mon-fri or sat,sun; the modal won't show`);
+      schedule.invalid = true;
+    }
+
+    if (modalScheduleHours && !schedule.hours) {
+      console.warn(`Modal ${modalId}: Invalid schedule hours "${modalScheduleHours}", expected HH:MM-HH:MM; the modal won't show`);
+      schedule.invalid = true;
+    }
+
+    return schedule;
   }
 
   /**
-   * Setup page load trigger
-   * @param {string} modalId - Modal identifier
-   * @param {Object} config - Modal configuration
+   * Parse a schedule date. ISO dates with Z or an offset are absolute;
+   * 'YYYY-MM-DD' and 'YYYY-MM-DD HH:MM' are read in the given timezone.
+   * @param {string} value - Date value
+   * @param {string} timezone - IANA timezone, UTC offset ('+0100') or '' for the visitor's
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.endOfDay] - A date without a time means the end of that day
+   * @returns {number} Timestamp, or NaN when invalid
    * @private
    */
-  setupPageLoadTrigger(modalId, config) {
-    const delay = config.delay * 1000;
-    
-    setTimeout(() => {
-      this.triggerModal(modalId);
-    }, delay);
+  parseScheduleDate(value, timezone, options = {}) {
+    const trimmed = String(value).trim();
+    if (/(Z|[+-]\d{2}:?\d{2})$/i.test(trimmed) && trimmed.includes('T')) return Date.parse(trimmed);
+
+    const match = trimmed.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2}))?$/);
+    if (!match) return NaN;
+
+    const [, year, month, day, hour, minute] = match;
+    if (month < 1 || month > 12 || day < 1 || day > 31 || hour > 23 || minute > 59) return NaN;
+
+    let local = Date.UTC(year, month - 1, day, hour || 0, minute || 0);
+    if (hour === undefined && options.endOfDay) local += 24 * 60 * 60 * 1000;
+
+    // Shift by the zone's offset, then correct once for DST changes in between
+    let timestamp = local - this.getTimezoneOffset(local, timezone) * 60000;
+    timestamp = local - this.getTimezoneOffset(timestamp, timezone) * 60000;
+    return timestamp;
+  }
+
+  /**
+   * Parse schedule days: names or numbers (0 = Sunday) and ranges,
+   * e.g. 'mon-fri', 'sat,sun' or '5,6'
+   * @param {string} value - Days value
+   * @returns {number[]|null} Day numbers, empty for every day, or null when a token is invalid
+   * @private
+   */
+  parseScheduleDays(value) {
+    const names = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+    const toDay = (token) => {
+      if (/^[0-7]$/.test(token)) return parseInt(token) % 7;
+      return token.length >= 3 ? names.findIndex(name => name.startsWith(token)) : -1;
+    };
+    const days = new Set();
+    let valid = true;
+
+    value.toLowerCase().split(',').map(token => token.trim()).filter(Boolean).forEach(token => {
+      const parts = token.split('-').map(part => part.trim());
+      const [from, to] = parts.map(toDay);
+      if (parts.length > 2 || from < 0 || (to !== undefined && to < 0)) {
+        valid = false;
+        return;
+      }
+
+      if (to === undefined) {
+        days.add(from);
+        return;
+      }
+
+      for (let day = from; ; day = (day + 1) % 7) {
+        days.add(day);
+        if (day === to) break;
+      }
+    });
+
+    return valid ? Array.from(days) : null;
+  }
+
+  /**
+   * Parse a daily hour window such as '09:00-17:00' or '22-02' (past midnight)
+   * @param {string} value - Hours value
+   * @returns {Object|null} { from, to } in minutes after midnight, or null
+   * @private
+   */
+  parseScheduleHours(value) {
+    const match = value.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*-\s*(\d{1,2})(?::(\d{2}))?$/);
+    if (!match) return null;
+
+    const minutes = [match[2], match[4]].map(part => parseInt(part) || 0);
+    if (minutes.some(minute => minute > 59)) return null;
+
+    const from = parseInt(match[1]) * 60 + minutes[0];
+    const to = parseInt(match[3]) * 60 + minutes[1];
+    if (from > 24 * 60 || to > 24 * 60 || from === to) return null;
+
+    return { from, to };
+  }
+
+  /**
+   * Get the offset of a timezone from UTC at a moment
+   * @param {number} timestamp - Moment
+   * @param {string} timezone - IANA timezone, UTC offset ('+0100', '-05:00') or '' for the visitor's
+   * @returns {number} Offset in minutes (positive east of UTC)
+   * @private
+   */
+  getTimezoneOffset(timestamp, timezone) {
+    const offset = (timezone || '').match(/^([+-])(\d{2}):?(\d{2})$/);
+    if (offset) {
+      return (offset[1] === '-' ? -1 : 1) * (parseInt(offset[2]) * 60 + parseInt(offset[3]));
+    }
+
+    if (!timezone) return -new Date(timestamp).getTimezoneOffset();
+
+    const parts = this.getZonedTime(timestamp, timezone);
+    return Math.round((Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - timestamp) / 60000);
+  }
+
+  /**
+   * Get the wall-clock time of a moment in a timezone
+   * @param {number} timestamp - Moment
+   * @param {string} timezone - IANA timezone, UTC offset or '' for the visitor's
+   * @returns {Object} { year, month, day, weekday (0 = Sunday), hour, minute }
+   * @private
+   */
+  getZonedTime(timestamp, timezone) {
+    if (timezone && !/^[+-]\d{2}:?\d{2}$/.test(timezone)) {
+      try {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+          timeZone: timezone,
+          hourCycle: 'h23',
+          year: 'numeric',
+          month: 'numeric',
+          day: 'numeric',
+          weekday: 'short',
+          hour: 'numeric',
+          minute: 'numeric'
+        }).formatToParts(new Date(timestamp)).forEach(({ type, value }) => {
+          parts[type] = value;
+        });
+
+        return {
+          year: parseInt(parts.year),
+          month: parseInt(parts.month),
+          day: parseInt(parts.day),
+          weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+          hour: parseInt(parts.hour) % 24,
+          minute: parseInt(parts.minute)
+        };
+      } catch (error) {
+        console.warn(`Modal Manager: Unknown timezone "${timezone}", using the visitor's`);
+        timezone = '';
+      }
+    }
+
+    const shifted = new Date(timestamp + this.getTimezoneOffset(timestamp, timezone) * 60000);
+    return {
+      year: shifted.getUTCFullYear(),
+      month: shifted.getUTCMonth() + 1,
+      day: shifted.getUTCDate(),
+      weekday: shifted.getUTCDay(),
+      hour: shifted.getUTCHours(),
+      minute: shifted.getUTCMinutes()
+    };
+  }
+
+  /**
+   * Get the current time for schedules. In debug mode ?modal_now= simulates
+   * a date, read in the modal's timezone like schedule dates.
+   * @param {string} timezone - Timezone for simulated dates without an offset
+   * @returns {number} Timestamp
+   * @private
+   */
+  getScheduleNow(timezone) {
+    const simulated = new URLSearchParams(window.location.search).get('modal_now');
+    if (simulated && this.isDebugMode()) {
+      const timestamp = this.parseScheduleDate(simulated, timezone);
+      if (!Number.isNaN(timestamp)) return timestamp;
+    }
+
+    return Date.now();
+  }
+
+  /**
+   * Check whether a modal is inside its campaign window
+   * @param {Object} config - Modal configuration
+   * @returns {boolean} Whether the modal may show now
+   * @private
+   */
+  isWithinSchedule(config) {
+    const schedule = config.schedule;
+    if (!schedule) return true;
+    if (schedule.invalid) return false;
+
+    const now = this.getScheduleNow(schedule.timezone);
+    if (schedule.start !== null && now < schedule.start) return false;
+    if (schedule.end !== null && now >= schedule.end) return false;
+
+    if (!schedule.days.length && !schedule.hours) return true;
+
+    const time = this.getZonedTime(now, schedule.timezone);
+    let weekday = time.weekday;
+
+    if (schedule.hours) {
+      const minutes = time.hour * 60 + time.minute;
+      const { from, to } = schedule.hours;
+      const within = from < to ? minutes >= from && minutes < to : minutes >= from || minutes < to;
+      if (!within) return false;
+
+      // After midnight in a window like 22:00-02:00 the window started the day before
+      if (from >= to && minutes < to) weekday = (weekday + 6) % 7;
+    }
+
+    return !schedule.days.length || schedule.days.includes(weekday);
+  }
+
+  /**
+   * Re-check scheduled modals every 30 seconds once one exists
+   * @private
+   */
+  watchSchedules() {
+    if (this.schedule.timer) return;
+
+    this.schedule.timer = setInterval(() => this.checkSchedules(), 30000);
+  }
+
+  /**
+   * Close and unregister modals whose window has ended, and register
+   * modals skipped earlier whose window has started
+   * @private
+   */
+  checkSchedules() {
+    const skipped = Array.from(this.schedule.skipped);
+
+    this.modals.forEach((config, modalId) => {
+      if (this.isWithinSchedule(config)) return;
+
+      if (this.isDebugMode()) {
+        console.log(`Modal ${modalId}: Schedule window ended`);
+      }
+
+      if (config.isShown) {
+        this.closeModal(modalId, { force: true, reason: 'schedule' });
+      }
+      this.unregisterModal(modalId);
+      this.schedule.skipped.add(modalId);
+    });
+
+    skipped.forEach(modalId => {
+      const element = this.findModalElement(modalId);
+      if (!element) {
+        this.schedule.skipped.delete(modalId);
+        return;
+      }
+
+      const config = this.parseModalConfig(element);
+      if (this.isWithinSchedule(config)) {
+        this.registerModal(modalId, config, element);
+      }
+    });
+  }
+
+  /**
+   * Parse the JSON targeting rules from a data attribute
+   * @param {string} value - Raw data-modal-rules value
+   * @param {string} modalId - Modal identifier (for warnings)
+   * @returns {Object|Array|null} Parsed rule tree
+   * @private
+   */
+  parseRules(value, modalId) {
+    if (!value) return null;
+
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      console.warn(`Invalid targeting rules JSON for modal ${modalId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Build the context targeting rules are evaluated against.
+   * Customer and cart values are rendered onto the modal by Liquid;
+   * cart values are replaced by fresher data once the page has fetched it.
+   * @param {Object} config - Modal configuration
+   * @returns {Object} Targeting context
+   * @private
+   */
+  getTargetingContext(config) {
+    const dataset = config.element.dataset;
+
+    return {
+      url: new URL(window.location.href),
+      referrer: document.referrer || '',
+      utm: this.targeting.utm || {},
+      customer: {
+        loggedIn: dataset.modalCustomer === 'true',
+        tags: (dataset.modalCustomerTags || '')
+          .split(',')
+          .map(tag => tag.trim().toLowerCase())
+          .filter(Boolean)
+      },
+      cart: this.targeting.cart || {
+        total: parseInt(dataset.modalCartTotal) || 0,
+        itemCount: parseInt(dataset.modalCartCount) || 0
+      },
+      visitor: this.targeting.visitor || { returning: false }
+    };
+  }
+
+  /**
+   * Evaluate a targeting rule tree.
+   * Rules combine with { all: [] }, { any: [] } and { not: rule }; a bare
+   * array is treated as "all". Conditions that can change while the page is
+   * open (cart) pass when options.deferDynamic is set, so they are only
+   * enforced at trigger time.
+   * @param {Object|Array|null} rule - Rule tree
+   * @param {Object} context - Targeting context
+   * @param {Object} [options] - Evaluation options
+   * @param {boolean} [options.deferDynamic] - Treat dynamic conditions as passing
+   * @returns {Object|null} The rule that blocked the modal, or null if it passes
+   * @private
+   */
+  evaluateRule(rule, context, options = {}) {
+    if (!rule) return null;
+    if (Array.isArray(rule)) rule = { all: rule };
+
+    if (!rule.all && options.deferDynamic && this.isDynamicRule(rule)) return null;
+
+    if (rule.all) {
+      for (const child of rule.all) {
+        const blocking = this.evaluateRule(child, context, options);
+        if (blocking) return blocking;
+      }
+      return null;
+    }
+
+    if (rule.any) {
+      const blocked = rule.any.map(child => this.evaluateRule(child, context, options));
+      return blocked.length && blocked.every(Boolean) ? rule : null;
+    }
+
+    if ('not' in rule) {
+      return this.evaluateRule(rule.not, context, options) ? null : rule;
+    }
+
+    return this.evaluateCondition(rule, context) ? null : rule;
+  }
+
+  /**
+   * Check whether a rule tree contains conditions that can change during the page view
+   * @param {Object|Array} rule - Rule tree
+   * @returns {boolean} Whether the rule is dynamic
+   * @private
+   */
+  isDynamicRule(rule) {
+    if (!rule) return false;
+    if (Array.isArray(rule)) return rule.some(child => this.isDynamicRule(child));
+    if (rule.all || rule.any) return (rule.all || rule.any).some(child => this.isDynamicRule(child));
+    if ('not' in rule) return this.isDynamicRule(rule.not);
+    return rule.type === 'cart';
+  }
+
+  /**
+   * Evaluate a single targeting condition
+   * @param {Object} condition - Condition with a "type" and type-specific options
+   * @param {Object} context - Targeting context
+   * @returns {boolean} Whether the condition passes
+   * @private
+   */
+  evaluateCondition(condition, context) {
+    const toList = (value) => [].concat(value).map(item => String(item).toLowerCase());
+
+    switch (condition.type) {
+      case 'path': {
+        const path = context.url.pathname;
+        if (condition.regex) return new RegExp(condition.regex).test(path);
+        return toList(condition.pattern || []).some(pattern => this.matchesPathPattern(path, pattern));
+      }
+
+      case 'query': {
+        const value = context.url.searchParams.get(condition.param);
+        if ('value' in condition) return value !== null && toList(condition.value).includes(value.toLowerCase());
+        return value !== null;
+      }
+
+      case 'utm': {
+        const keys = ['source', 'medium', 'campaign', 'term', 'content'].filter(key => key in condition);
+        if (!keys.length) return Object.keys(context.utm).length > 0;
+        return keys.every(key => context.utm[key] && toList(condition[key]).includes(context.utm[key].toLowerCase()));
+      }
+
+      case 'referrer': {
+        const referrer = context.referrer.toLowerCase();
+        if ('direct' in condition && condition.direct !== !referrer) return false;
+        if ('external' in condition) {
+          let external = false;
+          try {
+            external = !!referrer && new URL(referrer).hostname !== window.location.hostname;
+          } catch (error) {
+            external = false;
+          }
+          if (external !== condition.external) return false;
+        }
+        if (condition.contains && !toList(condition.contains).some(part => referrer.includes(part))) return false;
+        if (condition.regex && !new RegExp(condition.regex, 'i').test(referrer)) return false;
+        return true;
+      }
+
+      case 'customer': {
+        if ('loggedIn' in condition && condition.loggedIn !== context.customer.loggedIn) return false;
+        if (condition.tags && !toList(condition.tags).some(tag => context.customer.tags.includes(tag))) return false;
+        return true;
+      }
+
+      case 'cart': {
+        const { total, itemCount } = context.cart;
+        if ('minTotal' in condition && total < condition.minTotal) return false;
+        if ('maxTotal' in condition && total > condition.maxTotal) return false;
+        if ('minItems' in condition && itemCount < condition.minItems) return false;
+        if ('maxItems' in condition && itemCount > condition.maxItems) return false;
+        return true;
+      }
+
+      case 'visitor':
+        return !('returning' in condition) || condition.returning === context.visitor.returning;
+
+      default:
+        console.warn(`Unknown targeting rule type: ${condition.type}`);
+        return false;
+    }
+  }
+
+  /**
+   * Match a path against a glob pattern where "*" matches any characters
+   * @param {string} path - URL path
+   * @param {string} pattern - Glob pattern (e.g. "/products/*")
+   * @returns {boolean} Whether the path matches
+   * @private
+   */
+  matchesPathPattern(path, pattern) {
+    const source = pattern
+      .split('*')
+      .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*');
+    return new RegExp(`^${source}/?$`, 'i').test(path);
+  }
+
+  /**
+   * Get the targeting rule currently blocking a modal
+   * @param {string} modalId - Modal identifier
+   * @returns {Object|null} Blocking rule, or null if targeting passes
+   * @private
+   */
+  getBlockingRule(modalId) {
+    const config = this.modals.get(modalId);
+    if (!config) return this.targeting.skipped.get(modalId) || null;
+    return this.evaluateRule(config.rules, this.getTargetingContext(config));
+  }
+
+  /**
+   * Describe a rule for logs and status output
+   * @param {Object} rule - Rule node
+   * @returns {string} Rule description
+   * @private
+   */
+  describeRule(rule) {
+    return JSON.stringify(rule);
+  }
+
+  /**
+   * Set up storage backends. Persistent data (impression history, visitor,
+   * variants, discounts) goes to the configured backend, falling back to the
+   * next usable one when storage is blocked (e.g. Safari private mode):
+   * 'local' (localStorage, then cookie, then memory), 'cookie' (shared across
+   * subdomains with cookieDomain, then localStorage, then memory) or 'memory'.
+   * Session data uses sessionStorage, or memory when it is unavailable.
+   * Until the visitor consents to preferences through Shopify's Customer
+   * Privacy API, saved data is still read but new writes are kept in memory.
+   * @param {Object} options - Storage options (see window.ModalManagerConfig)
+   * @param {string} [options.storage] - 'local', 'cookie' or 'memory' (default: 'local')
+   * @param {string} [options.cookieDomain] - Cookie domain, e.g. '.example.com'
+   * @param {boolean} [options.respectConsent] - Wait for consent before persisting (default: true)
+   * @private
+   */
+  setupStorage(options) {
+    const storage = this.storage;
+    storage.type = options.storage || 'local';
+    storage.cookieDomain = options.cookieDomain || '';
+    storage.respectConsent = options.respectConsent !== false;
+
+    storage.backends = {
+      localStorage: this.createWebStorage('localStorage'),
+      sessionStorage: this.createWebStorage('sessionStorage'),
+      cookie: this.createCookieStorage(storage.cookieDomain),
+      memory: this.createMemoryStorage()
+    };
+
+    const fallbacks = {
+      local: ['localStorage', 'cookie', 'memory'],
+      cookie: ['cookie', 'localStorage', 'memory'],
+      memory: ['memory']
+    }[storage.type] || ['localStorage', 'cookie', 'memory'];
+
+    const backendName = fallbacks.find(name => storage.backends[name]);
+    storage.persistent = storage.backends[backendName];
+    storage.pending = this.createMemoryStorage();
+    storage.session = storage.backends.sessionStorage || this.createMemoryStorage();
+
+    // Cookies are sent with every request and limited to ~4KB each
+    if (backendName === 'cookie') {
+      this.history.maxEntries = 10;
+    }
+
+    // Without consent, writes and removals are held in memory on top of the
+    // saved data, so history, suppression and variants still apply
+    const granted = () => storage.consent === 'granted';
+    storage.local = {
+      getItem: (key) => {
+        if (granted()) return storage.persistent.getItem(key);
+        if (storage.removed.has(key)) return null;
+        const value = storage.pending.getItem(key);
+        return value !== null ? value : storage.persistent.getItem(key);
+      },
+      setItem: (key, value) => {
+        if (granted()) return storage.persistent.setItem(key, value);
+        storage.removed.delete(key);
+        storage.pending.setItem(key, value);
+      },
+      removeItem: (key) => {
+        if (granted()) return storage.persistent.removeItem(key);
+        storage.removed.add(key);
+        storage.pending.removeItem(key);
+      },
+      keys: () => {
+        if (granted()) return storage.persistent.keys();
+        const keys = new Set([...storage.persistent.keys(), ...storage.pending.keys()]);
+        return Array.from(keys).filter(key => !storage.removed.has(key));
+      }
+    };
+
+    this.setupConsent();
+
+    if (this.isDebugMode()) {
+      console.log(`Modal Manager: Using ${backendName} storage (consent: ${storage.consent})`);
+    }
+  }
+
+  /**
+   * Wrap localStorage or sessionStorage, checking that it can be written
+   * @param {string} name - 'localStorage' or 'sessionStorage'
+   * @returns {Object|null} Storage backend, or null when unavailable
+   * @private
+   */
+  createWebStorage(name) {
+    let store;
+    try {
+      store = window[name];
+      const probe = this.storage.prefix + 'probe';
+      store.setItem(probe, '1');
+      store.removeItem(probe);
+    } catch (error) {
+      return null;
+    }
+
+    return {
+      getItem: (key) => {
+        try { return store.getItem(key); } catch (error) { return null; }
+      },
+      setItem: (key, value) => {
+        try { store.setItem(key, value); } catch (error) { /* Quota exceeded or blocked */ }
+      },
+      removeItem: (key) => {
+        try { store.removeItem(key); } catch (error) { /* Blocked */ }
+      },
+      keys: () => {
+        try { return Object.keys(store); } catch (error) { return []; }
+      }
+    };
+  }
+
+  /**
+   * Cookie storage backend. Values are kept for a year and shared with
+   * subdomains when a domain is given.
+   * @param {string} domain - Cookie domain, e.g. '.example.com'
+   * @returns {Object|null} Storage backend, or null when cookies are disabled
+   * @private
+   */
+  createCookieStorage(domain) {
+    if (!navigator.cookieEnabled) return null;
+
+    const attributes = `; path=/; SameSite=Lax${domain ? `; domain=${domain}` : ''}${location.protocol === 'https:' ? '; Secure' : ''}`;
+    // Only our own cookies are decoded; others may not be valid URI components
+    const prefix = encodeURIComponent(this.storage.prefix);
+    const entries = () => document.cookie.split('; ').filter(cookie => cookie.startsWith(prefix)).map(cookie => {
+      const index = cookie.indexOf('=');
+      try {
+        return [decodeURIComponent(cookie.slice(0, index)), cookie.slice(index + 1)];
+      } catch (error) {
+        return null;
+      }
+    }).filter(Boolean);
+
+    return {
+      getItem: (key) => {
+        const entry = entries().find(([name]) => name === key);
+        if (!entry) return null;
+        try { return decodeURIComponent(entry[1]); } catch (error) { return null; }
+      },
+      setItem: (key, value) => {
+        document.cookie = `${encodeURIComponent(key)}=${encodeURIComponent(value)}; max-age=31536000${attributes}`;
+      },
+      removeItem: (key) => {
+        document.cookie = `${encodeURIComponent(key)}=; max-age=0${attributes}`;
+      },
+      keys: () => entries().map(([name]) => name)
+    };
+  }
+
+  /**
+   * In-memory storage backend, cleared when the page unloads
+   * @returns {Object} Storage backend
+   * @private
+   */
+  createMemoryStorage() {
+    const values = new Map();
+
+    return {
+      getItem: (key) => (values.has(key) ? values.get(key) : null),
+      setItem: (key, value) => values.set(key, String(value)),
+      removeItem: (key) => values.delete(key),
+      keys: () => Array.from(values.keys())
+    };
+  }
+
+  /**
+   * Follow the visitor's preferences consent from Shopify's Customer Privacy
+   * API. Without the API (e.g. outside Shopify) storage is used as normal.
+   * @private
+   */
+  setupConsent() {
+    const shopify = window.Shopify;
+    if (!this.storage.respectConsent || !shopify) return;
+
+    document.addEventListener('visitorConsentCollected', (e) => this.updateConsent(e.detail));
+
+    if (shopify.customerPrivacy) {
+      this.updateConsent();
+    } else if (typeof shopify.loadFeatures === 'function') {
+      this.storage.consent = 'pending';
+      shopify.loadFeatures([{ name: 'consent-tracking-api', version: '0.1' }], (error) => {
+        if (error) {
+          if (this.isDebugMode()) {
+            console.warn('Modal Manager: Customer Privacy API failed to load, keeping data in memory', error);
+          }
+          return;
+        }
+        this.updateConsent();
+      });
+    }
+  }
+
+  /**
+   * Apply a consent decision. Data kept in memory is merged into persistent
+   * storage once consent is given; persistent data is moved back into memory
+   * and removed when consent is withdrawn.
+   * @param {Object} [detail] - visitorConsentCollected event detail ({ preferencesAllowed })
+   * @private
+   */
+  updateConsent(detail) {
+    const privacy = window.Shopify && window.Shopify.customerPrivacy;
+    let allowed;
+
+    if (detail && typeof detail.preferencesAllowed === 'boolean') {
+      allowed = detail.preferencesAllowed;
+    } else if (privacy && typeof privacy.preferencesProcessingAllowed === 'function') {
+      allowed = privacy.preferencesProcessingAllowed();
+    } else if (privacy && typeof privacy.userCanBeTracked === 'function') {
+      allowed = privacy.userCanBeTracked();
+    } else {
+      return;
+    }
+
+    const { persistent, pending, removed, prefix } = this.storage;
+
+    if (allowed && this.storage.consent !== 'granted') {
+      removed.forEach(key => persistent.removeItem(key));
+      pending.keys().filter(key => key.startsWith(prefix)).forEach(key => {
+        persistent.setItem(key, this.mergeStoredValue(key, persistent.getItem(key), pending.getItem(key)));
+        pending.removeItem(key);
+      });
+    } else if (!allowed && this.storage.consent === 'granted') {
+      persistent.keys().filter(key => key.startsWith(prefix)).forEach(key => {
+        pending.setItem(key, persistent.getItem(key));
+        persistent.removeItem(key);
+      });
+    }
+    removed.clear();
+
+    this.storage.consent = allowed ? 'granted' : 'declined';
+
+    if (this.isDebugMode()) {
+      console.log(`Modal Manager: Storage consent ${this.storage.consent}`);
+    }
+  }
+
+  /**
+   * Merge a value written while consent was pending with the saved one.
+   * Impression histories are combined and keep any suppression; for other
+   * keys (visitor, variants, discounts) the saved value wins so they stay sticky.
+   * @param {string} key - Storage key
+   * @param {string|null} saved - Value in persistent storage
+   * @param {string} value - Value held in memory
+   * @returns {string} Value to save
+   * @private
+   */
+  mergeStoredValue(key, saved, value) {
+    if (saved === null) return value;
+    if (!key.endsWith('_history')) return saved;
+
+    let a;
+    let b;
+    try {
+      a = JSON.parse(saved);
+      b = JSON.parse(value);
+    } catch (error) {
+      return value;
+    }
+    if (!a || !b) return value;
+
+    const seen = new Set();
+    const impressions = [...(a.impressions || []), ...(b.impressions || [])]
+      .sort((x, y) => x.time - y.time)
+      .filter(impression => {
+        const id = `${impression.time}:${impression.session}`;
+        if (seen.has(id)) return false;
+        seen.add(id);
+        return true;
+      })
+      .slice(-this.history.maxEntries);
+
+    return JSON.stringify({
+      ...a,
+      ...b,
+      count: Math.max(a.count || 0, b.count || 0),
+      impressions,
+      suppressed: b.suppressed || a.suppressed || null
+    });
+  }
+
+  /**
+   * Public API: Set preferences consent from a consent tool other than Shopify's
+   * @param {boolean} allowed - Whether modal data may be stored persistently
+   * @public
+   */
+  setStorageConsent(allowed) {
+    this.updateConsent({ preferencesAllowed: !!allowed });
+  }
+
+  /**
+   * Listen for modal activity in other tabs through BroadcastChannel, or
+   * localStorage 'storage' events where BroadcastChannel is unavailable
+   * @private
+   */
+  setupSync() {
+    if (typeof BroadcastChannel === 'function') {
+      this.sync.channel = new BroadcastChannel('modal-manager');
+      this.sync.channel.addEventListener('message', (e) => this.handleSyncMessage(e.data));
+      return;
+    }
+
+    window.addEventListener('storage', (e) => {
+      if (e.key !== this.storage.prefix + 'sync' || !e.newValue) return;
+
+      try {
+        this.handleSyncMessage(JSON.parse(e.newValue));
+      } catch (error) {
+        // Ignore malformed messages
+      }
+    });
+  }
+
+  /**
+   * Tell other tabs about a modal impression or outcome
+   * @param {string} type - 'shown' or 'outcome'
+   * @param {string} modalId - Modal identifier
+   * @param {Object} [data] - Additional message data
+   * @private
+   */
+  broadcastSync(type, modalId, data = {}) {
+    const message = { ...data, type, modalId, source: this.sync.id, time: Date.now() };
+
+    if (this.sync.channel) {
+      this.sync.channel.postMessage(message);
+      return;
+    }
+
+    // The storage event fires in other tabs on change, so the key is removed right away.
+    // Nothing is written to localStorage before the visitor consents.
+    const localStore = this.storage.backends.localStorage;
+    if (localStore && this.storage.consent === 'granted') {
+      localStore.setItem(this.storage.prefix + 'sync', JSON.stringify(message));
+      localStore.removeItem(this.storage.prefix + 'sync');
+    }
+  }
+
+  /**
+   * React to a modal shown or converted in another tab: cancel triggers for
+   * modals that are now restricted, and close an open modal that was
+   * converted elsewhere when closeWhenConvertedElsewhere is set
+   * @param {Object} message - Sync message from broadcastSync
+   * @private
+   */
+  handleSyncMessage(message) {
+    if (!message || message.source === this.sync.id || !message.modalId) return;
+
+    const modalId = message.modalId;
+
+    if (message.type === 'shown') {
+      const shown = this.getShownElsewhere();
+      if (!shown.includes(modalId)) {
+        this.storage.session.setItem(this.storage.prefix + 'shown_elsewhere', JSON.stringify(shown.concat(modalId)));
+      }
+    }
+
+    const config = this.modals.get(modalId);
+    if (!config) return;
+
+    if (this.isDebugMode()) {
+      console.log(`Modal ${modalId}: ${message.type === 'shown' ? 'Shown' : `Outcome "${message.outcome}"`} in another tab`);
+    }
+
+    if (config.isShown) {
+      if (message.type === 'outcome' && message.outcome === 'converted' && config.closeWhenConvertedElsewhere) {
+        this.closeModal(modalId, { reason: 'synced' });
+      }
+      return;
+    }
+
+    if (!this.canShowModal(modalId, config)) {
+      this.cancelTrigger(modalId);
+
+      if (this.isDebugMode()) {
+        console.log(`Modal ${modalId}: Trigger cancelled (frequency: ${this.getFrequencyBlock(modalId, config)})`);
+      }
+    }
+  }
+
+  /**
+   * Modals shown in another tab during this session
+   * @returns {Array<string>} Modal identifiers
+   * @private
+   */
+  getShownElsewhere() {
+    try {
+      return JSON.parse(this.storage.session.getItem(this.storage.prefix + 'shown_elsewhere')) || [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  /**
+   * Remember UTM parameters for the session so they apply on later pages
+   * @returns {Object} UTM values keyed without the "utm_" prefix
+   * @private
+   */
+  trackUtmParams() {
+    const key = this.storage.prefix + 'utm';
+    const params = new URLSearchParams(window.location.search);
+    const utm = {};
+
+    ['source', 'medium', 'campaign', 'term', 'content'].forEach(name => {
+      const value = params.get('utm_' + name);
+      if (value) utm[name] = value;
+    });
+
+    if (Object.keys(utm).length) {
+      this.storage.session.setItem(key, JSON.stringify(utm));
+      return utm;
+    }
+
+    try {
+      return JSON.parse(this.storage.session.getItem(key)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  /**
+   * Record when the visitor was first seen to tell new and returning visitors apart,
+   * and count page views in the current session.
+   * A visitor is returning when they were first seen before the current session started.
+   * @returns {Object} Visitor information
+   * @private
+   */
+  trackVisitor() {
+    const key = this.storage.prefix + 'visitor';
+    const now = Date.now();
+
+    let firstSeen = parseInt(this.storage.local.getItem(key));
+    if (!firstSeen) {
+      firstSeen = now;
+      this.storage.local.setItem(key, now.toString());
+    }
+
+    let sessionStart = parseInt(this.storage.session.getItem(key + '_session'));
+    if (!sessionStart) {
+      sessionStart = now;
+      this.storage.session.setItem(key + '_session', now.toString());
+    }
+
+    const pageViews = (parseInt(this.storage.session.getItem(this.storage.prefix + 'page_views')) || 0) + 1;
+    this.storage.session.setItem(this.storage.prefix + 'page_views', pageViews.toString());
+
+    return {
+      firstSeen,
+      sessionStart,
+      pageViews,
+      returning: firstSeen < sessionStart
+    };
+  }
+
+  /**
+   * Collect variant definitions for a modal.
+   * Variants come from the data-modal-variants JSON on the modal
+   * ({ "A": { "weight": 50 }, "B": { "weight": 50, "delay": 5 } }) and from
+   * [data-modal-variant] content elements, which default to a weight of 1.
+   * @param {HTMLElement} modal - The modal DOM element
+   * @returns {Object|null} Variants keyed by variant ID
+   * @private
+   */
+  parseVariants(modal) {
+    let variants = {};
+
+    if (modal.dataset.modalVariants) {
+      try {
+        variants = JSON.parse(modal.dataset.modalVariants) || {};
+      } catch (error) {
+        console.warn(`Invalid variants JSON for modal ${modal.dataset.modalId}:`, error.message);
+      }
+    }
+
+    modal.querySelectorAll('[data-modal-variant]').forEach(element => {
+      const variantId = element.dataset.modalVariant;
+      if (!variants[variantId]) {
+        variants[variantId] = { weight: parseFloat(element.dataset.modalVariantWeight) || 1 };
+      }
+    });
+
+    return Object.keys(variants).length ? variants : null;
+  }
+
+  /**
+   * Assign a variant to the current visitor and apply it to the modal.
+   * A ?modal_variant=id:B override wins, then a variant stored from an earlier
+   * visit, then a deterministic weighted pick that is stored for next time.
+   * @param {string} modalId - Modal identifier
+   * @param {Object} config - Modal configuration
+   * @private
+   */
+  assignVariant(modalId, config) {
+    if (!config.variants) return;
+
+    const variantIds = Object.keys(config.variants);
+    const key = this.storage.prefix + modalId + '_variant';
+    const override = this.getVariantOverride(modalId);
+    const stored = this.storage.local.getItem(key);
+    let source;
+
+    if (override && variantIds.includes(override)) {
+      config.variant = override;
+      source = 'url override';
+    } else if (stored && variantIds.includes(stored)) {
+      config.variant = stored;
+      source = 'stored';
+    } else {
+      config.variant = this.pickWeightedVariant(modalId, config.variants);
+      source = 'new assignment';
+      this.storage.local.setItem(key, config.variant);
+    }
+
+    this.applyVariant(config);
+
+    if (this.isDebugMode()) {
+      console.log(`Modal ${modalId}: Variant "${config.variant}" (${source})`);
+    }
+  }
+
+  /**
+   * Pick a variant by weight using a stable hash of the visitor and modal IDs
+   * @param {string} modalId - Modal identifier
+   * @param {Object} variants - Variants keyed by variant ID
+   * @returns {string} Variant ID
+   * @private
+   */
+  pickWeightedVariant(modalId, variants) {
+    const variantIds = Object.keys(variants);
+    const weightOf = (id) => Math.max(0, Number(variants[id].weight) || 0);
+    const total = variantIds.reduce((sum, id) => sum + weightOf(id), 0);
+
+    if (!total) return variantIds[0];
+
+    let point = this.hashToUnit(`${this.getVisitorId()}:${modalId}`) * total;
+    for (const variantId of variantIds) {
+      point -= weightOf(variantId);
+      if (point < 0) return variantId;
+    }
+
+    return variantIds[variantIds.length - 1];
+  }
+
+  /**
+   * Show the assigned variant's content and apply its config overrides
+   * (triggerValue, delay, autoCloseAfter)
+   * @param {Object} config - Modal configuration
+   * @private
+   */
+  applyVariant(config) {
+    const element = config.element;
+    const overrides = config.variants[config.variant] || {};
+
+    element.querySelectorAll('[data-modal-variant]').forEach(variantElement => {
+      variantElement.hidden = variantElement.dataset.modalVariant !== config.variant;
+    });
+    element.dataset.modalActiveVariant = config.variant;
+
+    ['triggerValue', 'delay', 'autoCloseAfter'].forEach(key => {
+      if (key in overrides) config[key] = overrides[key];
+    });
+  }
+
+  /**
+   * Read a QA variant override from ?modal_variant=modal-id:B (comma separated for several modals)
+   * @param {string} modalId - Modal identifier
+   * @returns {string|null} Forced variant ID
+   * @private
+   */
+  getVariantOverride(modalId) {
+    const param = new URLSearchParams(window.location.search).get('modal_variant');
+    if (!param) return null;
+
+    for (const pair of param.split(',')) {
+      const separator = pair.lastIndexOf(':');
+      if (separator > 0 && pair.slice(0, separator) === modalId) {
+        return pair.slice(separator + 1);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get a persistent random visitor ID used for variant assignment
+   * @returns {string} Visitor ID
+   * @private
+   */
+  getVisitorId() {
+    const key = this.storage.prefix + 'visitor_id';
+    let visitorId = this.storage.local.getItem(key);
+
+    if (!visitorId) {
+      visitorId = Date.now().toString(36) + Math.random().toString(36).slice(2);
+      this.storage.local.setItem(key, visitorId);
+    }
+
+    return visitorId;
+  }
+
+  /**
+   * Hash a string (FNV-1a) to a number in [0, 1)
+   * @param {string} value - Value to hash
+   * @returns {number} Hash as a fraction
+   * @private
+   */
+  hashToUnit(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+      hash ^= value.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0) / 4294967296;
+  }
+
+  /**
+   * Get the variant assigned to a modal
+   * @param {string} modalId - Modal identifier
+   * @returns {string|null} Variant ID
+   * @public
+   */
+  getVariant(modalId) {
+    const config = this.modals.get(modalId);
+    return config ? config.variant : null;
+  }
+
+  /**
+   * Check if modal can be shown based on frequency restrictions
+   * @param {string} modalId - Modal identifier
+   * @param {Object} config - Modal configuration
+   * @returns {boolean} Whether modal can be shown
+   * @private
+   */
+  canShowModal(modalId, config) {
+    if (config.devMode) {
+      if (this.isDebugMode()) {
+        console.log(`Dev Mode: Modal ${modalId} can always show`);
+      }
+      return true;
+    }
+
+    return !this.getFrequencyBlock(modalId, config);
+  }
+
+  /**
+   * Find the frequency restriction that stops a modal from showing, checked
+   * against its impression history: suppression after a conversion or
+   * "don't show again", max impressions, page view count, frequency and cooldown.
+   * @param {string} modalId - Modal identifier
+   * @param {Object} config - Modal configuration
+   * @returns {string|null} Description of the restriction, or null when the modal may show
+   * @private
+   */
+  getFrequencyBlock(modalId, config) {
+    if (config.devMode) return null;
+
+    const history = this.getImpressionHistory(modalId);
+    const last = history.impressions[history.impressions.length - 1];
+    const now = Date.now();
+
+    if (history.suppressed) {
+      return `suppressed after ${history.suppressed.reason}`;
+    }
+
+    if (config.maxImpressions > 0 && history.count >= config.maxImpressions) {
+      return `max ${config.maxImpressions} impressions reached`;
+    }
+
+    if (config.showOnPageView > 0 && this.targeting.visitor && this.targeting.visitor.pageViews < config.showOnPageView) {
+      return `page view ${this.targeting.visitor.pageViews} of ${config.showOnPageView}`;
+    }
+
+    if (config.frequency === 'once-per-session' && this.getShownElsewhere().includes(modalId)) {
+      return 'already shown this session in another tab';
+    }
+
+    if (last) {
+      switch (config.frequency) {
+        case 'once-per-session':
+          if (history.impressions.some(impression => impression.session === this.getSessionId())) {
+            return 'already shown this session';
+          }
+          break;
+
+        case 'once-per-day':
+          if (new Date(last.time).toDateString() === new Date(now).toDateString()) {
+            return 'already shown today';
+          }
+          break;
+
+        case 'once-per-week':
+          if (this.getWeekKey(new Date(last.time)) === this.getWeekKey(new Date(now))) {
+            return 'already shown this week';
+          }
+          break;
+      }
+
+      if (config.cooldown && now - last.time < config.cooldown) {
+        return `cooldown until ${new Date(last.time + config.cooldown).toLocaleString()}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Read a modal's impression history from persistent storage
+   * @param {string} modalId - Modal identifier
+   * @returns {Object} History: { count, impressions: [{ time, session, outcome }], suppressed }
+   * @private
+   */
+  getImpressionHistory(modalId) {
+    let history = null;
+    try {
+      history = JSON.parse(this.storage.local.getItem(this.storage.prefix + modalId + '_history'));
+    } catch (error) {
+      // Corrupt entries are replaced on the next impression
+    }
+
+    return {
+      count: 0,
+      impressions: [],
+      suppressed: null,
+      ...history
+    };
+  }
+
+  /**
+   * Save a modal's impression history, keeping only the most recent impressions
+   * @param {string} modalId - Modal identifier
+   * @param {Object} history - Impression history
+   * @private
+   */
+  saveImpressionHistory(modalId, history) {
+    history.impressions = history.impressions.slice(-this.history.maxEntries);
+    this.storage.local.setItem(this.storage.prefix + modalId + '_history', JSON.stringify(history));
+  }
+
+  /**
+   * Record the outcome of a modal's latest impression. 'converted' suppresses
+   * the modal when suppressAfterConversion is set; 'dont-show-again' always does.
+   * A conversion is never downgraded to a dismissal.
+   * @param {string} modalId - Modal identifier
+   * @param {string} outcome - 'converted', 'dismissed' or 'dont-show-again'
+   * @param {Object} [options] - Outcome options
+   * @param {boolean} [options.suppressAfterConversion] - Override for modals not registered on this page
+   * @private
+   */
+  recordOutcome(modalId, outcome, options = {}) {
+    const config = this.modals.get(modalId);
+    if (config && (config.devMode || config.preview)) return;
+
+    const suppressAfterConversion = options.suppressAfterConversion !== undefined
+      ? options.suppressAfterConversion
+      : !!(config && config.suppressAfterConversion);
+
+    const history = this.getImpressionHistory(modalId);
+    const last = history.impressions[history.impressions.length - 1];
+
+    if (last && last.outcome !== 'converted') {
+      last.outcome = outcome;
+    }
+
+    if (outcome === 'dont-show-again' || (outcome === 'converted' && suppressAfterConversion)) {
+      history.suppressed = { reason: outcome === 'converted' ? 'conversion' : 'dont-show-again', time: Date.now() };
+    }
+
+    this.saveImpressionHistory(modalId, history);
+
+    if (outcome !== 'dismissed') {
+      this.broadcastSync('outcome', modalId, { outcome });
+    }
+
+    if (this.isDebugMode()) {
+      console.log(`Modal ${modalId}: Outcome recorded (${outcome})`);
+    }
+  }
+
+  /**
+   * Identify the current browser session (the session start timestamp)
+   * @returns {number} Session identifier
+   * @private
+   */
+  getSessionId() {
+    return this.targeting.visitor ? this.targeting.visitor.sessionStart : 0;
+  }
+
+  /**
+   * Parse a duration such as '12h', '3d', '30m' or a plain number of hours
+   * @param {string} value - Duration
+   * @returns {number} Duration in milliseconds (0 when unset or invalid)
+   * @private
+   */
+  parseDuration(value) {
+    const match = String(value || '').trim().match(/^(\d+(?:\.\d+)?)\s*(m|h|d)?$/i);
+    if (!match) return 0;
+
+    const units = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    return parseFloat(match[1]) * units[(match[2] || 'h').toLowerCase()];
+  }
+
+  /**
+   * Setup trigger for modal based on configuration.
+   * Listeners and timers added here are also kept in config.triggerTeardown
+   * so the trigger can be cancelled without tearing down the modal.
+   * @param {string} modalId - Modal identifier
+   * @param {Object} config - Modal configuration
+   * @private
+   */
+  setupModalTrigger(modalId, config) {
+    const teardownStart = config.teardown.length;
+
+    switch (config.triggerType) {
+      case 'time':
+        this.setupTimeTrigger(modalId, config);
+        break;
+        
+      case 'scroll':
+        this.setupScrollTrigger(modalId, config);
+        break;
+        
+      case 'click':
+        this.setupClickTrigger(modalId, config);
+        break;
+        
+      case 'exit':
+        this.setupExitIntentTrigger(modalId, config);
+        break;
+        
+      case 'page-load':
+        this.setupPageLoadTrigger(modalId, config);
+        break;
+        
+      case 'add-to-cart':
+        this.setupAddToCartTrigger(modalId, config);
+        break;
+        
+      case 'cart-threshold':
+        this.setupCartThresholdTrigger(modalId, config);
+        break;
+        
+      case 'cart-abandon':
+        this.setupCartAbandonTrigger(modalId, config);
+        break;
+
+      case 'idle':
+        this.setupIdleTrigger(modalId, config);
+        break;
+
+      case 'engaged-time':
+        this.setupEngagedTimeTrigger(modalId, config);
+        break;
+
+      case 'page-views':
+        this.setupPageViewsTrigger(modalId, config);
+        break;
+
+      case 'element-visible':
+        this.setupElementVisibleTrigger(modalId, config);
+        break;
+        
+      case 'manual':
+        break;
+        
+      default:
+        console.warn(`Unknown trigger type: ${config.triggerType}`);
+    }
+
+    config.triggerTeardown = config.teardown.slice(teardownStart);
+  }
+
+  /**
+   * Cancel a modal's trigger and remove it from the queue. The modal stays
+   * registered and can still be opened with show().
+   * @param {string} modalId - Modal identifier
+   * @param {string} [reason] - Why it was cancelled: 'frequency' or 'device' (default: 'frequency')
+   * @private
+   */
+  cancelTrigger(modalId, reason = 'frequency') {
+    const config = this.modals.get(modalId);
+    if (!config) return;
+
+    config.triggerTeardown.forEach(cleanup => cleanup());
+    config.teardown = config.teardown.filter(cleanup => !config.triggerTeardown.includes(cleanup));
+    config.triggerTeardown = [];
+    this.dropQueuedModal(modalId, reason);
+  }
+
+  /**
+   * Add an event listener that is removed when the modal is torn down
+   * @param {Object} config - Modal configuration
+   * @param {EventTarget} target - Listener target
+   * @param {string} type - Event type
+   * @param {Function} handler - Event handler
+   * @param {Object|boolean} [options] - Listener options
+   * @private
+   */
+  addListener(config, target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    config.teardown.push(() => target.removeEventListener(type, handler, options));
+  }
+
+  /**
+   * Start a timer that is cleared when the modal is torn down
+   * @param {Object} config - Modal configuration
+   * @param {Function} callback - Timer callback
+   * @param {number} ms - Delay in milliseconds
+   * @returns {number} Timer ID
+   * @private
+   */
+  addTimer(config, callback, ms) {
+    const timer = setTimeout(callback, ms);
+    config.teardown.push(() => clearTimeout(timer));
+    return timer;
+  }
+
+  /**
+   * Remove a modal's listeners, timers and subscriptions and forget it
+   * @param {string} modalId - Modal identifier
+   * @private
+   */
+  teardownModal(modalId) {
+    const config = this.modals.get(modalId);
+    if (!config) return;
+
+    config.teardown.forEach(cleanup => cleanup());
+    config.teardown = [];
+
+    this.dropQueuedModal(modalId, 'destroyed');
+    this.modals.delete(modalId);
+  }
+
+  /**
+   * Setup time-based trigger
+   * @param {string} modalId - Modal identifier
+   * @param {Object} config - Modal configuration
+   * @private
+   */
+  setupTimeTrigger(modalId, config) {
+    const delay = (parseInt(config.triggerValue) * 1000) + (config.delay * 1000);
+    
+    this.addTimer(config, () => {
+      this.triggerModal(modalId);
+    }, delay);
+  }
+
+  /**
+   * Setup scroll percentage trigger
+   * @param {string} modalId - Modal identifier
+   * @param {Object} config - Modal configuration
+   * @private
+   */
+  setupScrollTrigger(modalId, config) {
+    const targetPercent = parseInt(config.triggerValue) || 50;
+    
+    const scrollHandler = () => {
+      const scrollPercent = (window.scrollY / (document.documentElement.scrollHeight - window.innerHeight)) * 100;
+      
+      if (scrollPercent >= targetPercent) {
+        this.addTimer(config, () => {
+          this.triggerModal(modalId);
+        }, config.delay * 1000);
+        
+        window.removeEventListener('scroll', scrollHandler);
+        this.scrollListeners.delete(scrollHandler);
+      }
+    };
+
+    this.scrollListeners.add(scrollHandler);
+    this.addListener(config, window, 'scroll', scrollHandler, { passive: true });
+  }
+
+  /**
+   * Setup click trigger
+   * @param {string} modalId - Modal identifier
+   * @param {Object} config - Modal configuration
+   * @private
+   */
+  setupClickTrigger(modalId, config) {
+    const selector = config.triggerValue;
+    
+    if (!selector) {
+      console.warn(`Click trigger requires a selector for modal ${modalId}`);
+      return;
+    }
+
+    this.addListener(config, document, 'click', (e) => {
+      if (e.target.matches(selector) || e.target.closest(selector)) {
+        e.preventDefault();
+        config.opener = e.target.closest(selector);
+        
+        this.addTimer(config, () => {
+          this.triggerModal(modalId);
+        }, config.delay * 1000);
+      }
+    });
+  }
+
+  /**
+   * Setup exit intent trigger
+   * Desktop detects the mouse leaving through the top of the window; mobile
+   * uses setupMobileExitIntentTrigger. exitMode 'auto' picks by viewport width.
+   * @param {string} modalId - Modal identifier
+   * @param {Object} config - Modal configuration
+   * @private
+   */
+  setupExitIntentTrigger(modalId, config) {
+    const mobile = config.exitMode === 'mobile' || (config.exitMode === 'auto' && this.isMobileViewport(config));
+    if (mobile) {
+      this.setupMobileExitIntentTrigger(modalId, config);
+      return;
+    }
+
+    const exitHandler = (e) => {
+      if (e.clientY <= 0 && e.relatedTarget === null) {
+        this.addTimer(config, () => {
+          this.triggerModal(modalId);
+        }, config.delay * 1000);
+        
+        document.removeEventListener('mouseout', exitHandler);
+        this.exitIntentListeners.delete(exitHandler);
+      }
+    };
+
+    this.exitIntentListeners.add(exitHandler);
+    this.addListener(config, document, 'mouseout', exitHandler);
+  }
+
+  /**
+   * Setup mobile exit intent trigger. Heuristics (config.exitHeuristics):
+   * - 'scroll': a fast upward scroll (config.exitScrollSpeed px/s) after scrolling down a screen
+   * - 'back': the back button, caught with a history entry pushed on the first interaction
+   *   while the modal may still show, and removed again when the trigger fires or is torn down
+   * - 'tab': returning to the tab after it was hidden for config.exitHiddenTime seconds
+   * The first heuristic to fire triggers the modal.
+   * @param {string} modalId - Modal identifier
+   * @param {Object} config - Modal configuration
+   * @private
+   */
+  setupMobileExitIntentTrigger(modalId, config) {
+    const heuristics = config.exitHeuristics;
+    const cleanups = [];
+    const listen = (target, type, handler, options) => {
+      target.addEventListener(type, handler, options);
+      cleanups.push(() => target.removeEventListener(type, handler, options));
+    };
+    const stop = () => cleanups.splice(0).forEach(cleanup => cleanup());
+
+    // Go back over our back-button guard if the visitor is still on it
+    let guarded = false;
+    const release = () => {
+      if (guarded && history.state && history.state.modalExitGuard === modalId && !history.state.modal) {
+        history.back();
+      }
+      guarded = false;
+    };
+
+    const fire = (heuristic) => {
+      stop();
+      if (heuristic !== 'back button') release();
+
+      if (this.isDebugMode()) {
+        console.log(`Modal ${modalId}: Mobile exit intent (${heuristic})`);
+      }
+
+      this.addTimer(config, () => {
+        this.triggerModal(modalId);
+      }, config.delay * 1000);
+    };
+
+    if (heuristics.includes('scroll')) {
+      let lastY = window.scrollY;
+      let lastTime = performance.now();
+      let maxY = lastY;
+
+      listen(window, 'scroll', () => {
+        const now = performance.now();
+        const elapsed = now - lastTime;
+        if (elapsed < 50) return;
+
+        const speed = ((lastY - window.scrollY) / elapsed) * 1000;
+        maxY = Math.max(maxY, window.scrollY);
+        lastY = window.scrollY;
+        lastTime = now;
+
+        if (speed >= config.exitScrollSpeed && maxY >= window.innerHeight) {
+          fire('fast upward scroll');
+        }
+      }, { passive: true });
+    }
+
+    if (heuristics.includes('back')) {
+      // Browsers ignore history entries added without a user gesture when going back.
+      // No guard is added while frequency or targeting rules block the modal.
+      const guard = () => {
+        if (!this.canShowModal(modalId, config) || this.getBlockingRule(modalId)) return;
+
+        // Another exit intent modal's guard serves this one too
+        if (!(history.state && history.state.modalExitGuard)) {
+          history.pushState({ ...history.state, modalExitGuard: modalId }, '');
+        }
+        guarded = true;
+        ['click', 'touchend', 'keydown'].forEach(type => window.removeEventListener(type, guard));
+      };
+
+      ['click', 'touchend', 'keydown'].forEach(type => listen(window, type, guard, { passive: true }));
+      listen(window, 'popstate', () => {
+        if (guarded && !(history.state && history.state.modalExitGuard) && !this.getUrlModalId()) {
+          guarded = false;
+          fire('back button');
+        }
+      });
+    }
+
+    if (heuristics.includes('tab')) {
+      let hiddenAt = document.hidden ? Date.now() : null;
+
+      listen(document, 'visibilitychange', () => {
+        if (document.hidden) {
+          hiddenAt = Date.now();
+        } else if (hiddenAt && Date.now() - hiddenAt >= config.exitHiddenTime * 1000) {
+          fire('returned to tab');
+        }
+      });
+    }
+
+    config.teardown.push(() => {
+      stop();
+      release();
+    });
+  }
+
+  /**
+   * Setup page load trigger
+   * @param {string} modalId - Modal identifier
+   * @param {Object} config - Modal configuration
+   * @private
+   */
+  setupPageLoadTrigger(modalId, config) {
+    const delay = config.delay * 1000;
+    
+    this.addTimer(config, () => {
+      this.triggerModal(modalId);
+    }, delay);
+  }
+
+  /**
+   * Setup add-to-cart trigger
+   * Fires whenever the cart's item count goes up
+   * @param {string} modalId - Modal identifier
+   * @param {Object} config - Modal configuration
+   * @private
+   */
+  setupAddToCartTrigger(modalId, config) {
+    this.subscribeToCart(config, ({ previous, cart }) => {
+      if (cart.itemCount > previous.itemCount) {
+        this.addTimer(config, () => {
+          this.triggerModal(modalId);
+        }, config.delay * 1000);
+      }
+    });
+  }
+
+  /**
+   * Setup cart threshold trigger
+   * Fires when the cart total rises to or above the trigger value (in store currency).
+   * Shopify reports cart totals in hundredths of the visitor's currency, for
+   * zero-decimal currencies such as JPY too, so the amount is scaled by 100 and
+   * converted with the Shopify.currency rate when the visitor shops in another currency.
+   * @param {string} modalId - Modal identifier
+   * @param {Object} config - Modal configuration
+   * @private
+   */
+  setupCartThresholdTrigger(modalId, config) {
+    const currency = window.Shopify && window.Shopify.currency;
+    const rate = (currency && parseFloat(currency.rate)) || 1;
+    const threshold = Math.round((parseFloat(config.triggerValue) || 0) * rate * 100);
+
+    if (threshold <= 0) {
+      console.warn(`Cart threshold trigger requires an amount for modal ${modalId}`);
+      return;
+    }
+
+    this.subscribeToCart(config, ({ previous, cart }) => {
+      if (previous.total < threshold && cart.total >= threshold) {
+        this.addTimer(config, () => {
+          this.triggerModal(modalId);
+        }, config.delay * 1000);
+      }
+    });
+  }
+
+  /**
+   * Setup cart abandonment trigger
+   * Fires when the cart has items and the visitor has been idle for the trigger value (seconds)
+   * @param {string} modalId - Modal identifier
+   * @param {Object} config - Modal configuration
+   * @private
+   */
+  setupCartAbandonTrigger(modalId, config) {
+    const idleSeconds = parseInt(config.triggerValue) || 30;
+
+    // Keep cart state fresh so the idle check sees items added on this page
+    this.subscribeToCart(config, () => {});
+
+    const stopWatching = this.watchIdle(idleSeconds, () => {
+      if (this.targeting.cart.itemCount === 0) return false;
+
+      this.addTimer(config, () => {
+        this.triggerModal(modalId);
+      }, config.delay * 1000);
+    });
+    config.teardown.push(stopWatching);
+  }
+
+  /**
+   * Setup idle trigger
+   * Fires when there has been no mouse, keyboard, touch or scroll activity for the trigger value (seconds)
+   * @param {string} modalId - Modal identifier
+   * @param {Object} config - Modal configuration
+   * @private
+   */
+  setupIdleTrigger(modalId, config) {
+    const idleSeconds = parseInt(config.triggerValue) || 30;
+
+    const stopWatching = this.watchIdle(idleSeconds, () => {
+      this.addTimer(config, () => {
+        this.triggerModal(modalId);
+      }, config.delay * 1000);
+    });
+    config.teardown.push(stopWatching);
+  }
+
+  /**
+   * Setup engaged time trigger
+   * Fires after the trigger value (seconds) of time on the page while the tab is visible
+   * @param {string} modalId - Modal identifier
+   * @param {Object} config - Modal configuration
+   * @private
+   */
+  setupEngagedTimeTrigger(modalId, config) {
+    const targetMs = (parseInt(config.triggerValue) || 30) * 1000;
+    let timer = null;
+
+    const schedule = () => {
+      clearTimeout(timer);
+      if (document.hidden) return;
+
+      timer = setTimeout(() => {
+        this.engagement.subscribers.delete(schedule);
+        this.addTimer(config, () => {
+          this.triggerModal(modalId);
+        }, config.delay * 1000);
+      }, Math.max(0, targetMs - this.getEngagedTime()));
+    };
+
+    this.engagement.subscribers.add(schedule);
+    config.teardown.push(() => {
+      clearTimeout(timer);
+      this.engagement.subscribers.delete(schedule);
+    });
+    schedule();
+  }
+
+  /**
+   * Time spent on this page while the tab was visible
+   * @returns {number} Engaged time in milliseconds
+   * @private
+   */
+  getEngagedTime() {
+    const { total, visibleSince } = this.engagement;
+    return total + (visibleSince ? Date.now() - visibleSince : 0);
+  }
+
+  /**
+   * Setup pages viewed trigger
+   * Fires on page load once the visitor has viewed the trigger value pages in this session
+   * @param {string} modalId - Modal identifier
+   * @param {Object} config - Modal configuration
+   * @private
+   */
+  setupPageViewsTrigger(modalId, config) {
+    const targetViews = parseInt(config.triggerValue) || 3;
+    if (this.targeting.visitor.pageViews < targetViews) return;
+
+    this.addTimer(config, () => {
+      this.triggerModal(modalId);
+    }, config.delay * 1000);
+  }
+
+  /**
+   * Setup element visibility trigger
+   * Fires when an element matching the trigger value (CSS selector) scrolls into
+   * the top half of the viewport. A margin is used instead of a visibility ratio
+   * so elements taller than the viewport fire too.
+   * @param {string} modalId - Modal identifier
+   * @param {Object} config - Modal configuration
+   * @private
+   */
+  setupElementVisibleTrigger(modalId, config) {
+    const selector = config.triggerValue;
+    const elements = selector ? document.querySelectorAll(selector) : [];
+
+    if (!elements.length) {
+      console.warn(`Element visibility trigger for modal ${modalId}: No elements match "${selector}"`);
+      return;
+    }
+
+    if (typeof IntersectionObserver !== 'function') {
+      console.warn(`Element visibility trigger for modal ${modalId}: IntersectionObserver is not supported`);
+      return;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (!entries.some(entry => entry.isIntersecting)) return;
+
+      observer.disconnect();
+      this.addTimer(config, () => {
+        this.triggerModal(modalId);
+      }, config.delay * 1000);
+    }, { rootMargin: '0px 0px -50% 0px', threshold: 0 });
+
+    elements.forEach(element => observer.observe(element));
+    config.teardown.push(() => observer.disconnect());
+  }
+
+  /**
+   * Call a function once the visitor has been inactive for a number of seconds
+   * @param {number} seconds - Idle time in seconds
+   * @param {Function} onIdle - Called when idle; return false to keep watching
+   * @returns {Function} Stops watching
+   * @private
+   */
+  watchIdle(seconds, onIdle) {
+    const events = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart', 'wheel'];
+    let timer = null;
+
+    const stop = () => {
+      clearTimeout(timer);
+      events.forEach(eventName => window.removeEventListener(eventName, reset));
+    };
+
+    const reset = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        if (onIdle() !== false) stop();
+      }, seconds * 1000);
+    };
+
+    events.forEach(eventName => window.addEventListener(eventName, reset, { passive: true }));
+    reset();
+
+    return stop;
+  }
+
+  /**
+   * Subscribe to cart changes
+   * Seeds the cart state from the Liquid-rendered values on first use;
+   * the subscription ends when the modal is torn down
+   * @param {Object} config - Modal configuration
+   * @param {Function} callback - Receives { previous, cart, data } after each cart refresh
+   * @returns {Function} Unsubscribes the callback
+   * @private
+   */
+  subscribeToCart(config, callback) {
+    this.installCartWatcher();
+
+    if (!this.targeting.cart) {
+      this.targeting.cart = this.getTargetingContext(config).cart;
+    }
+
+    const unsubscribe = () => this.cartWatcher.subscribers.delete(callback);
+    this.cartWatcher.subscribers.add(callback);
+    config.teardown.push(unsubscribe);
+    return unsubscribe;
+  }
+
+  /**
+   * Watch for cart changes made through fetch, XMLHttpRequest or theme events.
+   * Successful requests to /cart/add, /cart/change, /cart/update and /cart/clear
+   * (and the theme's cart:updated event) schedule a refresh from /cart.js.
+   * @private
+   */
+  installCartWatcher() {
+    if (this.cartWatcher.installed) return;
+    this.cartWatcher.installed = true;
+
+    const manager = this;
+    const isCartMutation = (url) => /\/cart\/(add|change|update|clear)(\.js|\.json)?(\?|$)/.test(url);
+
+    if (window.fetch) {
+      const originalFetch = window.fetch;
+      window.fetch = function (...args) {
+        const request = args[0];
+        const url = String((request && request.url) || request || '');
+        const result = originalFetch.apply(this, args);
+
+        if (isCartMutation(url)) {
+          result.then(response => {
+            if (response.ok) manager.scheduleCartRefresh();
+          }).catch(() => {});
+        }
+
+        return result;
+      };
+    }
+
+    if (window.XMLHttpRequest) {
+      const originalOpen = XMLHttpRequest.prototype.open;
+      XMLHttpRequest.prototype.open = function (method, url, ...rest) {
+        if (isCartMutation(String(url))) {
+          this.addEventListener('load', () => {
+            if (this.status >= 200 && this.status < 300) manager.scheduleCartRefresh();
+          });
+        }
+        return originalOpen.call(this, method, url, ...rest);
+      };
+    }
+
+    document.addEventListener('cart:updated', () => this.scheduleCartRefresh());
+  }
+
+  /**
+   * Coalesce cart change signals into a single /cart.js request
+   * @private
+   */
+  scheduleCartRefresh() {
+    clearTimeout(this.cartWatcher.refreshTimer);
+    this.cartWatcher.refreshTimer = setTimeout(() => this.refreshCart(), 100);
+  }
+
+  /**
+   * Fetch the current cart and notify cart subscribers
+   * @returns {Promise<void>}
+   * @private
+   */
+  refreshCart() {
+    return fetch(`${this.getShopifyRoot()}cart.js`, { headers: { Accept: 'application/json' } })
+      .then(response => response.json())
+      .then(data => {
+        const previous = this.targeting.cart || { total: 0, itemCount: 0 };
+        const cart = { total: data.total_price, itemCount: data.item_count };
+        this.targeting.cart = cart;
+
+        if (this.isDebugMode()) {
+          console.log(`Modal Manager: Cart updated (${cart.itemCount} items, total ${cart.total})`);
+        }
+
+        this.cartWatcher.subscribers.forEach(callback => callback({ previous, cart, data }));
+      })
+      .catch(error => {
+        if (this.isDebugMode()) {
+          console.warn('Modal Manager: Failed to refresh cart', error);
+        }
+      });
+  }
+
+  /**
+   * Get the storefront root path, including the locale prefix when present
+   * @returns {string} Root path ending in "/"
+   * @private
+   */
+  getShopifyRoot() {
+    const routes = window.Shopify && window.Shopify.routes;
+    return (routes && routes.root) || '/';
+  }
+
+  /**
+   * Setup event handlers for modal
+   * @param {HTMLElement} element - Modal DOM element
+   * @private
+   */
+  setupModalEvents(element) {
+    const modalId = element.dataset.modalId;
+    const config = this.modals.get(modalId);
+
+    // Clicks and form submissions are delegated so content rendered later
+    // (remote content, steps) is handled too
+    this.addListener(config, element, 'click', (e) => this.handleModalClick(modalId, e));
+    this.addListener(config, element, 'submit', (e) => this.handleModalSubmit(modalId, e));
+
+    // Backdrop click to close
+    const backdrop = element.querySelector('.modal__backdrop');
+    if (backdrop && config.closeOnOutsideClick) {
+      this.addListener(config, backdrop, 'click', () => this.closeModal(modalId, { reason: 'backdrop' }));
+    }
+
+    // Multi-step flows
+    this.setupSteps(modalId, config);
+
+    // Lightbox for images on the page
+    if (config.contentType === 'gallery') {
+      this.setupGallery(modalId, config);
+    }
+  }
+
+  /**
+   * Handle data-modal-open="id", data-modal-toggle="id" and
+   * data-modal-close="id" anywhere on the page with one delegated listener
+   * @param {MouseEvent} e - Click event
+   * @private
+   */
+  handleDeclarativeClick(e) {
+    const target = e.target.closest ? e.target : e.target.parentElement;
+    const control = target && target.closest('[data-modal-open], [data-modal-toggle], [data-modal-close]:not([data-modal-close=""])');
+    if (!control) return;
+
+    const { modalOpen, modalToggle, modalClose } = control.dataset;
+
+    if (modalOpen) {
+      e.preventDefault();
+      this.openFromPage(modalOpen, control);
+    } else if (modalToggle) {
+      e.preventDefault();
+      const config = this.modals.get(modalToggle);
+      if (config && config.isShown) {
+        this.closeModal(modalToggle, { reason: 'button' });
+      } else {
+        this.openFromPage(modalToggle, control);
+      }
+    } else if (modalClose && this.modals.has(modalClose)) {
+      // Close buttons inside their own modal are handled by handleModalClick
+      const config = this.modals.get(modalClose);
+      if (config.element.contains(control)) return;
+
+      e.preventDefault();
+      this.closeModal(modalClose, { reason: 'button' });
+    }
+  }
+
+  /**
+   * Open a modal the visitor asked for (declarative control or URL).
+   * A modal skipped at registration because of its frequency is registered
+   * now, since frequency only limits modals the visitor didn't ask for.
+   * @param {string} modalId - Modal identifier
+   * @param {HTMLElement} [opener] - Element that opened the modal
+   * @returns {boolean} Whether the modal exists
+   * @private
+   */
+  openFromPage(modalId, opener) {
+    if (!this.modals.has(modalId)) {
+      const element = this.findModalElement(modalId);
+
+      if (!element) {
+        console.warn(`Modal ${modalId}: Not found`);
+        return false;
+      }
+
+      this.registerModal(modalId, this.parseModalConfig(element), element, { ignoreFrequency: true });
+    }
+
+    const config = this.modals.get(modalId);
+    if (!config) return false;
+
+    if (opener) config.opener = opener;
+    this.requestModal(modalId, { manual: true, parent: this.getContainingModal(opener) });
+    return true;
+  }
+
+  /**
+   * Find the topmost open modal that contains an element
+   * @param {HTMLElement} [element] - Element
+   * @returns {string|null} Modal identifier
+   * @private
+   */
+  getContainingModal(element) {
+    if (!element) return null;
+
+    for (let i = this.stack.length - 1; i >= 0; i--) {
+      const config = this.modals.get(this.stack[i]);
+      if (config && config.element.contains(element)) return this.stack[i];
+    }
+    return null;
+  }
+
+  /**
+   * Read the modal requested by the URL: #modal=id or ?modal=id
+   * @returns {string|null} Modal identifier
+   * @private
+   */
+  getUrlModalId() {
+    const hash = window.location.hash.match(/^#modal=([^&]+)/);
+    if (hash) return decodeURIComponent(hash[1]);
+
+    return new URLSearchParams(window.location.search).get('modal');
+  }
+
+  /**
+   * Open the modal named in the URL and close modals whose history entry
+   * was left with the back button. A modal only closes when the visitor is
+   * back on the URL it opened from; other hash changes (anchors in the modal,
+   * theme tabs) leave it open.
+   * @param {Object} [options] - Sync options
+   * @param {boolean} [options.initial] - Called on page load (deep link)
+   * @private
+   */
+  syncWithUrl(options = {}) {
+    const urlModalId = this.getUrlModalId();
+    const currentUrl = window.location.href;
+    const previousUrl = this.navigation.lastUrl;
+    this.navigation.lastUrl = currentUrl;
+
+    this.modals.forEach((config, modalId) => {
+      if (config.isShown && config.historyMode === 'push' && modalId !== urlModalId && config.historyBase === currentUrl) {
+        config.historyMode = null;
+        this.closeModal(modalId, { reason: 'history' });
+      }
+    });
+
+    if (!urlModalId) return;
+
+    const config = this.modals.get(urlModalId);
+    if (config && config.isShown) return;
+
+    if (this.openFromPage(urlModalId)) {
+      // The URL already names the modal: a deep link is removed on close,
+      // an in-page link's history entry is left with history.back()
+      const opened = this.modals.get(urlModalId);
+      if (opened) {
+        opened.historyMode = options.initial ? 'initial' : 'push';
+        opened.historyBase = (history.state && history.state.modalBase) || previousUrl;
+      }
+
+      if (this.isDebugMode()) {
+        console.log(`Modal ${urlModalId}: Opened from URL`);
+      }
+    }
+  }
+
+  /**
+   * Add a #modal=id history entry for a modal the visitor opened so the back
+   * button closes it. A modal replacing another reuses its entry; a stacked
+   * modal adds its own.
+   * @param {string} modalId - Modal identifier
+   * @private
+   */
+  pushModalHistory(modalId) {
+    const config = this.modals.get(modalId);
+    if (!config.hashSync || config.historyMode || this.getUrlModalId() === modalId) return;
+
+    const url = window.location.pathname + window.location.search + '#modal=' + encodeURIComponent(modalId);
+    const replacing = !config.parentId && history.state && history.state.modal;
+
+    // The URL the back button returns to closes the modal (see syncWithUrl)
+    const base = replacing ? history.state.modalBase : window.location.href;
+
+    history[replacing ? 'replaceState' : 'pushState']({ ...history.state, modal: modalId, modalBase: base }, '', url);
+    config.historyMode = 'push';
+    config.historyBase = base;
+    this.navigation.lastUrl = window.location.href;
+  }
+
+  /**
+   * Remove a closed modal from the URL: go back over its history entry
+   * (and those of stacked modals that closed with it), or strip a deep link
+   * so a reload doesn't reopen it
+   * @param {string} modalId - Modal identifier
+   * @param {string} reason - Close reason
+   * @param {string[]} [childEntries] - Stacked modals whose entries follow this modal's
+   * @private
+   */
+  popModalHistory(modalId, reason, childEntries = []) {
+    const config = this.modals.get(modalId);
+    const mode = config.historyMode;
+    config.historyMode = null;
+
+    const urlModalId = this.getUrlModalId();
+    const ownsEntry = urlModalId === modalId || childEntries.includes(urlModalId);
+
+    if (mode === 'push' && reason !== 'replaced' && ownsEntry) {
+      history.go(-(1 + childEntries.length));
+    } else if (mode === 'initial') {
+      const url = new URL(window.location.href);
+      url.searchParams.delete('modal');
+      if (url.hash.startsWith('#modal=')) url.hash = '';
+      history.replaceState(history.state, '', url.pathname + url.search + url.hash);
+      this.navigation.lastUrl = window.location.href;
+    }
+  }
+
+  /**
+   * Handle clicks inside a modal: close buttons, step actions, discount
+   * actions, remote content retries and CTA tracking
+   * @param {string} modalId - Modal identifier
+   * @param {MouseEvent} e - Click event
+   * @private
+   */
+  handleModalClick(modalId, e) {
+    const config = this.modals.get(modalId);
+    if (!config) return;
+
+    const target = e.target.closest ? e.target : e.target.parentElement;
+    if (!target) return;
+
+    // Clicks in a modal nested in this one's markup belong to that modal
+    if (target.closest('[data-modal-trigger-type]') !== config.element) return;
+
+    // "Don't show again" suppresses the modal for good
+    if (target.closest('[data-modal-dont-show-again]')) {
+      e.preventDefault();
+      this.recordOutcome(modalId, 'dont-show-again');
+      this.closeModal(modalId, { reason: 'dont-show-again' });
+      return;
+    }
+
+    // Close button events (data-modal-close="other-id" is handled by handleDeclarativeClick)
+    const closeButton = target.closest('[data-modal-close]');
+    if (closeButton && (!closeButton.dataset.modalClose || closeButton.dataset.modalClose === modalId)) {
+      e.preventDefault();
+      this.closeModal(modalId, { reason: 'button' });
+      return;
+    }
+
+    // Multi-step flows
+    const stepAction = target.closest('[data-modal-next], [data-modal-back], [data-modal-goto], [data-modal-answer], [data-modal-complete]');
+    if (stepAction && config.stepState) {
+      e.preventDefault();
+      this.handleStepAction(modalId, stepAction);
+      return;
+    }
+
+    // Discount reveal, copy and apply
+    if (target.closest('[data-modal-discount-trigger]')) {
+      e.preventDefault();
+      this.revealDiscount(modalId);
+      return;
+    }
+
+    const copyButton = target.closest('[data-modal-discount-copy]');
+    if (copyButton) {
+      this.copyDiscountCode(modalId, copyButton);
+      return;
+    }
+
+    const applyButton = target.closest('[data-modal-discount-apply]');
+    if (applyButton) {
+      this.applyDiscountCode(modalId, applyButton);
+      return;
+    }
+
+    // Retry failed remote content
+    if (target.closest('[data-modal-retry]')) {
+      e.preventDefault();
+      this.loadRemoteContent(modalId, { retry: true });
+      return;
+    }
+
+    // Calls to action are marked data-modal-cta; other links are plain clicks.
+    // Submit buttons are tracked by handleModalSubmit.
+    const button = target.closest('[data-modal-cta]');
+    if (button && !(button.form && button.type === 'submit')) {
+      if (this.isDebugMode()) {
+        console.log(`CTA clicked in modal ${modalId}:`, button.textContent?.trim());
+      }
+
+      this.track('modal_cta_click', modalId, {
+        cta_label: button.textContent?.trim() || '',
+        cta_url: button.getAttribute('href') || ''
+      });
+      this.recordOutcome(modalId, 'converted');
+    }
+  }
+
+  /**
+   * Handle form submissions in modals
+   * @param {string} modalId - Modal identifier
+   * @param {SubmitEvent} e - Submit event
+   * @private
+   */
+  handleModalSubmit(modalId, e) {
+    const config = this.modals.get(modalId);
+    const form = e.target;
+    if (!config || !(form instanceof HTMLFormElement)) return;
+    if (form.closest('[data-modal-trigger-type]') !== config.element) return;
+
+    if (form.hasAttribute('data-modal-product-form')) {
+      e.preventDefault();
+      this.addProductToCart(modalId, form);
+      return;
+    }
+
+    if (this.isDebugMode()) {
+      console.log(`Form submitted in modal ${modalId}`);
+    }
+
+    this.track('modal_form_submit', modalId, { form_action: form.getAttribute('action') || '' });
+
+    if (this.shouldSubmitWithAjax(config, form)) {
+      e.preventDefault();
+      this.submitForm(modalId, form);
+      return;
+    }
+
+    this.rememberPendingForm(modalId);
+  }
+
+  /**
+   * Check whether a modal form should be submitted with fetch
+   * Only POST forms are intercepted; add data-modal-ajax="false" to opt a form out
+   * @param {Object} config - Modal configuration
+   * @param {HTMLFormElement} form - Form element
+   * @returns {boolean} Whether to intercept the submission
+   * @private
+   */
+  shouldSubmitWithAjax(config, form) {
+    return config.formAjax &&
+      form.dataset.modalAjax !== 'false' &&
+      (form.getAttribute('method') || '').toLowerCase() === 'post' &&
+      typeof window.fetch === 'function';
+  }
+
+  /**
+   * Submit a modal form with fetch and show the result inline
+   * @param {string} modalId - Modal identifier
+   * @param {HTMLFormElement} form - Form element
+   * @returns {Promise<Object>} Parsed form result ({ status, errors, code })
+   * @private
+   */
+  submitForm(modalId, form) {
+    const submitButtons = form.querySelectorAll('[type="submit"]');
+
+    this.setFormMessage(form, '', null);
+    form.setAttribute('aria-busy', 'true');
+    submitButtons.forEach(button => { button.disabled = true; });
+
+    return fetch(form.action, {
+      method: 'POST',
+      body: new FormData(form),
+      headers: { Accept: 'text/html' },
+      credentials: 'same-origin'
+    })
+      .then(response => response.text().then(html => this.parseFormResponse(response, html)))
+      .catch(() => ({ status: 'error', code: 'network', errors: [] }))
+      .then(result => {
+        if (result.status === 'challenge') {
+          // Shopify bot protection needs a full page submission
+          this.rememberPendingForm(modalId);
+          form.submit();
+        } else if (result.status === 'success') {
+          this.handleFormSuccess(modalId, form, result);
+        } else {
+          this.handleFormError(modalId, form, result);
+        }
+        return result;
+      })
+      .finally(() => {
+        form.removeAttribute('aria-busy');
+        submitButtons.forEach(button => { button.disabled = false; });
+      });
+  }
+
+  /**
+   * Interpret Shopify's response to a contact or customer form post.
+   * Success redirects with customer_posted=true or contact_posted=true,
+   * bot protection redirects to /challenge, and errors re-render the page
+   * with the theme's .errors markup.
+   * @param {Response} response - Fetch response (after redirects)
+   * @param {string} html - Response body
+   * @returns {Object} Result with status ('success', 'error' or 'challenge'), errors and code
+   * @private
+   */
+  parseFormResponse(response, html) {
+    let url = null;
+    try {
+      url = new URL(response.url);
+    } catch (error) {
+      url = null;
+    }
+
+    if (url && /\/challenge\/?$/.test(url.pathname)) {
+      return { status: 'challenge', code: 'challenge', errors: [] };
+    }
+
+    if (url && (url.searchParams.get('customer_posted') === 'true' || url.searchParams.get('contact_posted') === 'true')) {
+      return { status: 'success', code: null, errors: [] };
+    }
+
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    let errorNodes = doc.querySelectorAll('.errors li');
+    if (!errorNodes.length) {
+      errorNodes = doc.querySelectorAll('.errors, .form-message--error, .form__message--error');
+    }
+
+    const errors = [...new Set(Array.from(errorNodes)
+      .map(node => node.textContent.replace(/\s+/g, ' ').trim())
+      .filter(Boolean))];
+
+    if (errors.length) {
+      const taken = errors.some(message => /already been taken/i.test(message));
+      return { status: 'error', code: taken ? 'email_taken' : 'invalid', errors };
+    }
+
+    if (doc.querySelector('.form-message--success, .form__message--success, .note--success, [data-form-success]')) {
+      return { status: 'success', code: null, errors: [] };
+    }
+
+    return response.ok
+      ? { status: 'success', code: null, errors: [] }
+      : { status: 'error', code: 'http_' + response.status, errors: [] };
+  }
+
+  /**
+   * Show the success state for a modal form.
+   * A [data-modal-form-success] panel replaces the form when present,
+   * otherwise the success message is shown inside the form.
+   * @param {string} modalId - Modal identifier
+   * @param {HTMLFormElement} form - Form element
+   * @param {Object} result - Parsed form result
+   * @private
+   */
+  handleFormSuccess(modalId, form, result) {
+    const config = this.modals.get(modalId);
+    if (!config) return;
+
+    const successPanel = config.element.querySelector('[data-modal-form-success]');
+    const step = form.closest('[data-modal-step]');
+
+    if (step && config.stepState) {
+      // Forms inside a step flow record their fields and move on
+      this.collectStepAnswers(step, config.stepState.answers);
+      this.nextStep(modalId, { skipValidation: true });
+    } else if (successPanel) {
+      form.hidden = true;
+      successPanel.hidden = false;
+      successPanel.setAttribute('tabindex', '-1');
+      successPanel.focus({ preventScroll: true });
+    } else {
+      form.reset();
+      this.setFormMessage(form, config.formSuccessMessage, 'success');
+    }
+
+    if (this.isDebugMode()) {
+      console.log(`Modal ${modalId}: Form submitted successfully`);
+    }
+
+    this.dispatchModalEvent('modal:form-success', modalId, { form, result });
+    this.track('modal_form_success', modalId);
+    this.recordOutcome(modalId, 'converted');
+
+    const discountCode = this.revealDiscount(modalId);
+
+    // Keep the modal open when a discount code was just revealed
+    if (config.formSuccessAction === 'close' && !discountCode) {
+      this.addTimer(config, () => {
+        this.closeModal(modalId, { reason: 'form-submit' });
+      }, 2000);
+    }
+  }
+
+  /**
+   * Show the error state for a modal form
+   * @param {string} modalId - Modal identifier
+   * @param {HTMLFormElement} form - Form element
+   * @param {Object} result - Parsed form result
+   * @private
+   */
+  handleFormError(modalId, form, result) {
+    const message = result.errors.length
+      ? result.errors.join(' ')
+      : 'Something went wrong. Please try again.';
+
+    this.setFormMessage(form, message, 'error');
+
+    const emailInput = form.querySelector('input[type="email"]');
+    if (emailInput && (result.code === 'email_taken' || result.code === 'invalid')) {
+      emailInput.setAttribute('aria-invalid', 'true');
+      emailInput.focus();
+    }
+
+    if (this.isDebugMode()) {
+      console.log(`Modal ${modalId}: Form error (${result.code})`, result.errors);
+    }
+
+    this.dispatchModalEvent('modal:form-error', modalId, { form, result });
+    this.track('modal_form_error', modalId, { error_code: result.code });
+  }
+
+  /**
+   * Set the inline status message of a form, creating the message element if needed
+   * @param {HTMLFormElement} form - Form element
+   * @param {string} text - Message text (empty hides the message)
+   * @param {string|null} type - 'success', 'error' or null
+   * @private
+   */
+  setFormMessage(form, text, type) {
+    let message = form.querySelector('[data-modal-form-message]');
+
+    if (!message) {
+      if (!text) return;
+      message = document.createElement('div');
+      message.className = 'modal__form-message';
+      message.setAttribute('data-modal-form-message', '');
+      message.setAttribute('role', 'alert');
+      form.appendChild(message);
+    }
+
+    message.textContent = text;
+    message.hidden = !text;
+    message.classList.toggle('modal__form-message--success', type === 'success');
+    message.classList.toggle('modal__form-message--error', type === 'error');
+
+    if (type !== 'error') {
+      form.querySelectorAll('[aria-invalid]').forEach(input => input.removeAttribute('aria-invalid'));
+    }
+  }
+
+  /**
+   * Remember a natively submitted form so its result can be tracked after the reload
+   * @param {string} modalId - Modal identifier
+   * @private
+   */
+  rememberPendingForm(modalId) {
+    this.storage.session.setItem(this.storage.prefix + 'pending_form', JSON.stringify({
+      modalId,
+      suppressAfterConversion: this.modals.get(modalId).suppressAfterConversion,
+      submittedAt: Date.now()
+    }));
+  }
+
+  /**
+   * Setup a multi-step flow from [data-modal-step] panels.
+   * Actions are declared with data-modal-next, data-modal-back,
+   * data-modal-goto="step" and data-modal-complete; buttons with
+   * data-modal-answer="value" record an answer and advance (see handleStepAction).
+   * State is kept in sessionStorage so it survives closing and reopening.
+   * Safe to call again after new content has been rendered.
+   * @param {string} modalId - Modal identifier
+   * @param {Object} config - Modal configuration
+   * @private
+   */
+  setupSteps(modalId, config) {
+    const steps = this.getStepElements(config);
+    if (!steps.length) return;
+
+    const names = steps.map(step => step.dataset.modalStep);
+    let state = null;
+
+    try {
+      state = JSON.parse(this.storage.session.getItem(this.storage.prefix + modalId + '_steps'));
+    } catch (error) {
+      state = null;
+    }
+
+    if (config.stepState && names.includes(config.stepState.current)) {
+      state = config.stepState;
+    }
+
+    if (!state || !names.includes(state.current)) {
+      state = { current: names[0], history: [], answers: {}, completed: false };
+    }
+
+    config.stepState = state;
+    this.renderStep(modalId);
+  }
+
+  /**
+   * Run a step action button (next, back, goto, answer or complete)
+   * @param {string} modalId - Modal identifier
+   * @param {HTMLElement} action - Action element
+   * @private
+   */
+  handleStepAction(modalId, action) {
+    const config = this.modals.get(modalId);
+
+    if ('modalAnswer' in action.dataset) {
+      const step = action.closest('[data-modal-step]');
+      const question = action.dataset.modalQuestion || (step ? step.dataset.modalStep : config.stepState.current);
+      config.stepState.answers[question] = action.dataset.modalAnswer;
+    }
+
+    if (action.hasAttribute('data-modal-back')) {
+      this.previousStep(modalId);
+    } else if (action.dataset.modalGoto) {
+      this.goToStep(modalId, action.dataset.modalGoto);
+    } else if (action.hasAttribute('data-modal-complete')) {
+      this.completeSteps(modalId);
+    } else {
+      this.nextStep(modalId);
+    }
+  }
+
+  /**
+   * Get the step panels of a modal in DOM order
+   * @param {Object} config - Modal configuration
+   * @returns {HTMLElement[]} Step elements
+   * @private
+   */
+  getStepElements(config) {
+    return Array.from(config.element.querySelectorAll('[data-modal-step]'));
+  }
+
+  /**
+   * Get the element of the current step
+   * @param {Object} config - Modal configuration
+   * @returns {HTMLElement|null} Current step element
+   * @private
+   */
+  getCurrentStepElement(config) {
+    return this.getStepElements(config).find(step => step.dataset.modalStep === config.stepState.current) || null;
+  }
+
+  /**
+   * Validate and record the current step, then move to the next one.
+   * The next step comes from the step's data-modal-branch JSON (answer to step),
+   * then data-modal-next-step, then the following panel. Without a next step
+   * the flow completes.
+   * @param {string} modalId - Modal identifier
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.skipValidation] - Don't validate the step's inputs
+   * @returns {boolean} Whether the flow moved on
+   * @private
+   */
+  nextStep(modalId, options = {}) {
+    const config = this.modals.get(modalId);
+    if (!config || !config.stepState) return false;
+
+    const step = this.getCurrentStepElement(config);
+    if (!step) return false;
+
+    if (!options.skipValidation) {
+      const invalid = Array.from(step.querySelectorAll('input, select, textarea')).find(input => !input.checkValidity());
+      if (invalid) {
+        invalid.reportValidity();
+        return false;
+      }
+    }
+
+    this.collectStepAnswers(step, config.stepState.answers);
+
+    const nextName = this.resolveNextStep(config, step);
+    if (!nextName) {
+      this.completeSteps(modalId);
+      return true;
+    }
+
+    return this.goToStep(modalId, nextName);
+  }
+
+  /**
+   * Work out which step follows the given one
+   * @param {Object} config - Modal configuration
+   * @param {HTMLElement} step - Current step element
+   * @returns {string|null} Next step name
+   * @private
+   */
+  resolveNextStep(config, step) {
+    const name = step.dataset.modalStep;
+
+    if (step.dataset.modalBranch) {
+      try {
+        const branches = JSON.parse(step.dataset.modalBranch);
+        const answer = config.stepState.answers[step.dataset.modalQuestion || name];
+        const target = branches[answer] || branches.default;
+        if (target) return target;
+      } catch (error) {
+        console.warn(`Invalid data-modal-branch JSON on step "${name}"`);
+      }
+    }
+
+    if (step.dataset.modalNextStep) return step.dataset.modalNextStep;
+
+    const steps = this.getStepElements(config);
+    const following = steps[steps.indexOf(step) + 1];
+    return following ? following.dataset.modalStep : null;
+  }
+
+  /**
+   * Show a step by name.
+   * Arriving at a step marked data-modal-step-final completes the flow.
+   * @param {string} modalId - Modal identifier
+   * @param {string} stepName - Step name
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.pushHistory] - Record the current step for "back" (default: true)
+   * @returns {boolean} Whether the step exists
+   * @public
+   */
+  goToStep(modalId, stepName, options = {}) {
+    const config = this.modals.get(modalId);
+    if (!config || !config.stepState) return false;
+
+    const target = this.getStepElements(config).find(step => step.dataset.modalStep === stepName);
+    if (!target) {
+      console.warn(`Modal ${modalId}: Unknown step "${stepName}"`);
+      return false;
+    }
+
+    const state = config.stepState;
+    if (options.pushHistory !== false && state.current !== stepName) {
+      state.history.push(state.current);
+    }
+    state.current = stepName;
+
+    this.renderStep(modalId, { focus: true });
+    this.saveStepState(modalId);
+
+    this.dispatchModalEvent('modal:step', modalId, { step: stepName, answers: { ...state.answers } });
+
+    if (this.isDebugMode()) {
+      console.log(`Modal ${modalId}: Step "${stepName}"`);
+    }
+
+    if (target.hasAttribute('data-modal-step-final')) {
+      this.completeSteps(modalId);
+    }
+
+    return true;
+  }
+
+  /**
+   * Go back to the previously visited step
+   * @param {string} modalId - Modal identifier
+   * @returns {boolean} Whether there was a step to go back to
+   * @private
+   */
+  previousStep(modalId) {
+    const config = this.modals.get(modalId);
+    if (!config || !config.stepState || !config.stepState.history.length) return false;
+
+    return this.goToStep(modalId, config.stepState.history.pop(), { pushHistory: false });
+  }
+
+  /**
+   * Mark the flow as completed and report the collected answers
+   * @param {string} modalId - Modal identifier
+   * @private
+   */
+  completeSteps(modalId) {
+    const config = this.modals.get(modalId);
+    if (!config || !config.stepState || config.stepState.completed) return;
+
+    const state = config.stepState;
+    state.completed = true;
+    this.saveStepState(modalId);
+
+    if (this.isDebugMode()) {
+      console.log(`Modal ${modalId}: Completed`, state.answers);
+    }
+
+    this.dispatchModalEvent('modal:completed', modalId, { answers: { ...state.answers } });
+    this.track('modal_completed', modalId, { steps_visited: state.history.length + 1 });
+  }
+
+  /**
+   * Reset a step flow to its first step and clear answers
+   * @param {string} modalId - Modal identifier
+   * @public
+   */
+  resetSteps(modalId) {
+    const config = this.modals.get(modalId);
+    if (!config || !config.stepState) return;
+
+    const first = this.getStepElements(config)[0];
+    config.stepState = { current: first.dataset.modalStep, history: [], answers: {}, completed: false };
+    this.storage.session.removeItem(this.storage.prefix + modalId + '_steps');
+    this.renderStep(modalId);
+  }
+
+  /**
+   * Record the named inputs of a step as answers.
+   * Checkboxes collect arrays, radios their checked value; hidden inputs are ignored.
+   * @param {HTMLElement} step - Step element
+   * @param {Object} answers - Answers object to update
+   * @private
+   */
+  collectStepAnswers(step, answers) {
+    const checkboxValues = {};
+
+    step.querySelectorAll('input[name], select[name], textarea[name]').forEach(input => {
+      if (input.type === 'hidden' || input.disabled) return;
+
+      if (input.type === 'checkbox') {
+        checkboxValues[input.name] = checkboxValues[input.name] || [];
+        if (input.checked) checkboxValues[input.name].push(input.value);
+      } else if (input.type === 'radio') {
+        if (input.checked) answers[input.name] = input.value;
+      } else {
+        answers[input.name] = input.value;
+      }
+    });
+
+    Object.assign(answers, checkboxValues);
+  }
+
+  /**
+   * Show the current step, hide the others and update the progress indicator
+   * ([data-modal-progress] gets aria values and a --modal-progress percentage,
+   * [data-modal-progress-text] gets "current / total")
+   * @param {string} modalId - Modal identifier
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.focus] - Move focus into the new step
+   * @private
+   */
+  renderStep(modalId, options = {}) {
+    const config = this.modals.get(modalId);
+    if (!config || !config.stepState) return;
+
+    const steps = this.getStepElements(config);
+    const index = steps.findIndex(step => step.dataset.modalStep === config.stepState.current);
+
+    steps.forEach((step, i) => {
+      step.hidden = i !== index;
+    });
+
+    const total = steps.length;
+    const percent = Math.round(((index + 1) / total) * 100);
+
+    config.element.querySelectorAll('[data-modal-progress]').forEach(progress => {
+      progress.setAttribute('role', 'progressbar');
+      progress.setAttribute('aria-valuemin', '1');
+      progress.setAttribute('aria-valuemax', String(total));
+      progress.setAttribute('aria-valuenow', String(index + 1));
+      progress.style.setProperty('--modal-progress', `${percent}%`);
+    });
+
+    config.element.querySelectorAll('[data-modal-progress-text]').forEach(text => {
+      text.textContent = `${index + 1} / ${total}`;
+    });
+
+    if (options.focus && config.isShown && steps[index]) {
+      const target = this.getFocusableElements(steps[index])[0] || steps[index];
+      if (target === steps[index]) steps[index].setAttribute('tabindex', '-1');
+      target.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Persist step state for the session
+   * @param {string} modalId - Modal identifier
+   * @private
+   */
+  saveStepState(modalId) {
+    const config = this.modals.get(modalId);
+    if (!config || !config.stepState) return;
+
+    this.storage.session.setItem(this.storage.prefix + modalId + '_steps', JSON.stringify(config.stepState));
+  }
+
+  /**
+   * Check whether a modal has a discount code or code pool configured
+   * @param {Object} config - Modal configuration
+   * @returns {boolean} Whether the modal offers a discount
+   * @private
+   */
+  hasDiscount(config) {
+    return !!config.discountCode || config.discountPool.length > 0;
+  }
+
+  /**
+   * Get the discount code revealed to this visitor for a modal
+   * @param {string} modalId - Modal identifier
+   * @returns {string|null} Remembered discount code
+   * @private
+   */
+  getRevealedDiscount(modalId) {
+    return this.storage.local.getItem(this.storage.prefix + modalId + '_discount');
+  }
+
+  /**
+   * Reveal the modal's discount code and remember it for later visits.
+   * Codes from a pool are picked per visitor with a stable hash, so the
+   * same visitor always gets the same code.
+   * @param {string} modalId - Modal identifier
+   * @param {Object} [options] - Reveal options
+   * @param {boolean} [options.restore] - Re-show a remembered code without tracking
+   * @returns {string|null} The revealed code
+   * @private
+   */
+  revealDiscount(modalId, options = {}) {
+    const config = this.modals.get(modalId);
+    if (!config || !this.hasDiscount(config)) return null;
+
+    let code = this.getRevealedDiscount(modalId);
+    if (!code) {
+      code = config.discountPool.length
+        ? config.discountPool[Math.floor(this.hashToUnit(`${this.getVisitorId()}:${modalId}:discount`) * config.discountPool.length)]
+        : config.discountCode;
+      this.storage.local.setItem(this.storage.prefix + modalId + '_discount', code);
+    }
+
+    const element = config.element;
+    element.querySelectorAll('[data-modal-discount-code]').forEach(codeElement => {
+      codeElement.textContent = code;
+    });
+    element.querySelectorAll('[data-modal-discount]').forEach(panel => {
+      panel.hidden = false;
+    });
+    element.querySelectorAll('[data-modal-discount-trigger]').forEach(trigger => {
+      trigger.hidden = true;
+    });
+
+    if (options.restore) return code;
+
+    if (this.isDebugMode()) {
+      console.log(`Modal ${modalId}: Revealed discount code ${code}`);
+    }
+
+    this.dispatchModalEvent('modal:discount-revealed', modalId, { code });
+    this.track('modal_discount_revealed', modalId, { discount_code: code });
+
+    return code;
+  }
+
+  /**
+   * Copy the revealed discount code to the clipboard
+   * @param {string} modalId - Modal identifier
+   * @param {HTMLElement} button - Copy button (its label changes briefly on success)
+   * @returns {Promise<boolean>} Whether the code was copied
+   * @private
+   */
+  copyDiscountCode(modalId, button) {
+    const code = this.getRevealedDiscount(modalId);
+    if (!code) return Promise.resolve(false);
+
+    const copy = navigator.clipboard && window.isSecureContext
+      ? navigator.clipboard.writeText(code)
+      : Promise.reject(new Error('Clipboard API unavailable'));
+
+    return copy
+      .catch(() => this.copyTextFallback(code))
+      .then(() => {
+        const label = button.textContent;
+        button.textContent = button.dataset.copiedLabel || 'Copied!';
+        setTimeout(() => {
+          button.textContent = label;
+        }, 2000);
+
+        this.track('modal_discount_copied', modalId, { discount_code: code });
+        return true;
+      })
+      .catch(error => {
+        if (this.isDebugMode()) {
+          console.warn(`Modal ${modalId}: Could not copy discount code`, error);
+        }
+        return false;
+      });
+  }
+
+  /**
+   * Copy text with a temporary textarea for browsers without the Clipboard API
+   * @param {string} text - Text to copy
+   * @returns {Promise<void>} Resolves when copied
+   * @private
+   */
+  copyTextFallback(text) {
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.setAttribute('readonly', '');
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+
+    const copied = document.execCommand('copy');
+    textarea.remove();
+
+    return copied ? Promise.resolve() : Promise.reject(new Error('Copy command failed'));
+  }
+
+  /**
+   * Apply the revealed discount code to the cart.
+   * 'redirect' visits Shopify's /discount/{code} URL and comes back to this page;
+   * 'cart' sets the code (and a cart attribute) through /cart/update.js.
+   * @param {string} modalId - Modal identifier
+   * @param {HTMLElement} button - Apply button
+   * @returns {Promise<boolean>} Whether the code was applied
+   * @private
+   */
+  applyDiscountCode(modalId, button) {
+    const config = this.modals.get(modalId);
+    const code = this.getRevealedDiscount(modalId);
+    if (!config || !code) return Promise.resolve(false);
+
+    const root = this.getShopifyRoot();
+
+    if (config.discountApply !== 'cart') {
+      this.track('modal_discount_applied', modalId, { discount_code: code, method: 'redirect' });
+      this.recordOutcome(modalId, 'converted');
+      const returnTo = window.location.pathname + window.location.search;
+      window.location.href = `${root}discount/${encodeURIComponent(code)}?redirect=${encodeURIComponent(returnTo)}`;
+      return Promise.resolve(true);
+    }
+
+    button.disabled = true;
+
+    return fetch(`${root}cart/update.js`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({ discount: code, attributes: { modal_discount_code: code } })
+    })
+      .then(response => {
+        if (!response.ok) throw new Error(`Cart update failed with status ${response.status}`);
+        return response.json();
+      })
+      .then(cart => {
+        button.textContent = button.dataset.appliedLabel || 'Applied!';
+        this.dispatchModalEvent('modal:discount-applied', modalId, { code, cart });
+        this.track('modal_discount_applied', modalId, { discount_code: code, method: 'cart' });
+        this.recordOutcome(modalId, 'converted');
+        return true;
+      })
+      .catch(error => {
+        button.disabled = false;
+        if (this.isDebugMode()) {
+          console.warn(`Modal ${modalId}: Could not apply discount code`, error);
+        }
+        return false;
+      });
+  }
+
+  /**
+   * Parse a YouTube, Vimeo or direct video URL.
+   * YouTube: watch?v= (with any extra params), youtu.be, embed, Shorts and live links.
+   * Vimeo: public links, private links with a hash (vimeo.com/ID/HASH or ?h=HASH)
+   * and player URLs. Anything else is treated as a video file.
+   * @param {string} url - Video URL
+   * @returns {Object|null} { provider: 'youtube'|'vimeo'|'file', id, hash, start, src },
+   *   or null for an invalid URL
+   * @private
+   */
+  parseVideoUrl(url) {
+    if (!url) return null;
+
+    let parsed;
+    try {
+      parsed = new URL(url, window.location.href);
+    } catch (error) {
+      return null;
+    }
+
+    const host = parsed.hostname.replace(/^(www|m)\./, '');
+
+    if (host === 'youtu.be' || host === 'youtube.com' || host === 'youtube-nocookie.com') {
+      const match = host === 'youtu.be'
+        ? parsed.pathname.match(/^\/([\w-]{11})/)
+        : parsed.pathname.match(/^\/(?:embed|shorts|live|v)\/([\w-]{11})/);
+      const id = match ? match[1] : parsed.searchParams.get('v');
+      if (!id || !/^[\w-]{11}$/.test(id)) return null;
+
+      return {
+        provider: 'youtube',
+        id,
+        start: this.parseVideoTime(parsed.searchParams.get('t') || parsed.searchParams.get('start'))
+      };
+    }
+
+    if (host === 'vimeo.com' || host === 'player.vimeo.com') {
+      const match = parsed.pathname.match(/\/(?:video\/)?(\d+)(?:\/([\da-f]+))?\/?$/);
+      if (!match) return null;
+
+      return {
+        provider: 'vimeo',
+        id: match[1],
+        hash: match[2] || parsed.searchParams.get('h') || '',
+        start: this.parseVideoTime(parsed.hash.replace(/^#t=/, ''))
+      };
+    }
+
+    return { provider: 'file', src: parsed.href };
+  }
+
+  /**
+   * Parse a video start time ('90', '1m30s' or '1h2m3s')
+   * @param {string} value - Time value
+   * @returns {number} Seconds (0 when missing or invalid)
+   * @private
+   */
+  parseVideoTime(value) {
+    if (!value) return 0;
+    if (/^\d+$/.test(value)) return parseInt(value);
+
+    const match = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+    if (!match) return 0;
+
+    return (parseInt(match[1]) || 0) * 3600 + (parseInt(match[2]) || 0) * 60 + (parseInt(match[3]) || 0);
+  }
+
+  /**
+   * Create or resume the videos ([data-modal-video]) in a modal.
+   * Players are only created when the modal opens, so nothing loads or
+   * plays while it is hidden.
+   * @param {string} modalId - Modal identifier
+   * @private
+   */
+  loadVideos(modalId) {
+    const config = this.modals.get(modalId);
+    if (!config) return;
+
+    // Drop players whose markup was replaced (remote content, steps)
+    config.videos = config.videos.filter(video => video.wrapper.isConnected);
+
+    config.element.querySelectorAll('[data-modal-video]').forEach(wrapper => {
+      let video = config.videos.find(candidate => candidate.wrapper === wrapper);
+
+      if (!video) {
+        const source = this.parseVideoUrl(wrapper.dataset.modalVideo);
+        if (!source) {
+          console.warn(`Modal ${modalId}: Unsupported video URL "${wrapper.dataset.modalVideo}"`);
+          return;
+        }
+
+        video = { wrapper, source, player: null, state: 'idle', progressTimer: null, milestones: new Set() };
+        config.videos.push(video);
+      }
+
+      if (video.state === 'idle') {
+        this.createVideoPlayer(modalId, video);
+      } else if (config.videoAutoplay) {
+        this.playVideo(video);
+      }
+    });
+  }
+
+  /**
+   * Create the player for a video: a YouTube IFrame API player, a Vimeo
+   * iframe controlled through postMessage, or a <video> element
+   * @param {string} modalId - Modal identifier
+   * @param {Object} video - Video state
+   * @private
+   */
+  createVideoPlayer(modalId, video) {
+    const config = this.modals.get(modalId);
+    const { source, wrapper } = video;
+    const autoplay = config.videoAutoplay;
+
+    video.state = 'loading';
+    video.milestones.clear();
+
+    if (source.provider === 'youtube') {
+      const placeholder = document.createElement('div');
+      wrapper.replaceChildren(placeholder);
+
+      this.loadYouTubeApi()
+        .then(YT => {
+          if (video.state !== 'loading' || !placeholder.isConnected) return;
+
+          video.player = new YT.Player(placeholder, {
+            videoId: source.id,
+            playerVars: { autoplay: autoplay ? 1 : 0, rel: 0, modestbranding: 1, playsinline: 1, start: source.start },
+            events: {
+              onReady: () => {
+                video.state = 'ready';
+                if (!config.isShown) this.pauseVideo(video);
+              },
+              onStateChange: (e) => this.handleYouTubeState(modalId, video, e.data)
+            }
+          });
+        })
+        .catch(error => {
+          if (video.state !== 'loading' || !placeholder.isConnected) return;
+
+          // Without the API the embed still plays, but is unloaded on close
+          console.warn(`Modal ${modalId}: ${error.message}, using a plain embed`);
+          video.player = this.createVideoIframe(
+            `https://www.youtube.com/embed/${source.id}?autoplay=${autoplay ? 1 : 0}&rel=0&modestbranding=1&playsinline=1&start=${source.start}`,
+            'accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture'
+          );
+          video.state = 'ready';
+          wrapper.replaceChildren(video.player);
+        });
+    } else if (source.provider === 'vimeo') {
+      const params = new URLSearchParams({
+        autoplay: autoplay ? 1 : 0,
+        playsinline: 1,
+        color: 'ffffff',
+        title: 0,
+        byline: 0,
+        portrait: 0
+      });
+      if (source.hash) params.set('h', source.hash);
+
+      // Becomes ready when the player posts its 'ready' message
+      video.player = this.createVideoIframe(
+        `https://player.vimeo.com/video/${source.id}?${params}${source.start ? `#t=${source.start}s` : ''}`,
+        'autoplay; fullscreen; picture-in-picture'
+      );
+      wrapper.replaceChildren(video.player);
+    } else {
+      const element = document.createElement('video');
+      element.className = 'modal__video';
+      element.controls = true;
+      element.playsInline = true;
+      // Browsers only autoplay muted video
+      element.muted = autoplay;
+      element.autoplay = autoplay;
+      element.src = source.src;
+      element.addEventListener('timeupdate', () => {
+        this.updateVideoProgress(modalId, video, element.currentTime, element.duration);
+      });
+      element.addEventListener('ended', () => this.handleVideoEnded(modalId, video));
+
+      video.player = element;
+      video.state = 'ready';
+      wrapper.replaceChildren(element);
+    }
+  }
+
+  /**
+   * Create an embed iframe
+   * @param {string} src - Embed URL
+   * @param {string} allow - Permissions policy
+   * @returns {HTMLIFrameElement} Iframe
+   * @private
+   */
+  createVideoIframe(src, allow) {
+    const iframe = document.createElement('iframe');
+    iframe.className = 'modal__video';
+    iframe.src = src;
+    iframe.allow = allow;
+    iframe.allowFullscreen = true;
+    iframe.setAttribute('frameborder', '0');
+    return iframe;
+  }
+
+  /**
+   * Load the YouTube IFrame API once
+   * @returns {Promise<Object>} Resolves with window.YT
+   * @private
+   */
+  loadYouTubeApi() {
+    if (window.YT && window.YT.Player) return Promise.resolve(window.YT);
+    if (this.video.youtubeApi) return this.video.youtubeApi;
+
+    this.video.youtubeApi = new Promise((resolve, reject) => {
+      const previous = window.onYouTubeIframeAPIReady;
+      window.onYouTubeIframeAPIReady = () => {
+        if (typeof previous === 'function') previous();
+        resolve(window.YT);
+      };
+
+      const script = document.createElement('script');
+      script.src = 'https://www.youtube.com/iframe_api';
+      script.async = true;
+      script.onerror = () => {
+        this.video.youtubeApi = null;
+        reject(new Error('YouTube IFrame API failed to load'));
+      };
+      document.head.appendChild(script);
+    });
+
+    return this.video.youtubeApi;
+  }
+
+  /**
+   * Play a video
+   * @param {Object} video - Video state
+   * @private
+   */
+  playVideo(video) {
+    if (video.state !== 'ready' || !video.player) return;
+
+    if (video.source.provider === 'youtube') {
+      if (typeof video.player.playVideo === 'function') video.player.playVideo();
+    } else if (video.source.provider === 'vimeo') {
+      this.postVimeoMessage(video, 'play');
+    } else {
+      video.player.play().catch(() => {});
+    }
+  }
+
+  /**
+   * Pause a video
+   * @param {Object} video - Video state
+   * @returns {boolean} Whether the video could be paused
+   * @private
+   */
+  pauseVideo(video) {
+    clearInterval(video.progressTimer);
+    if (video.state !== 'ready' || !video.player) return false;
+
+    if (video.source.provider === 'youtube') {
+      if (typeof video.player.pauseVideo !== 'function') return false;
+      video.player.pauseVideo();
+    } else if (video.source.provider === 'vimeo') {
+      this.postVimeoMessage(video, 'pause');
+    } else {
+      video.player.pause();
+    }
+
+    return true;
+  }
+
+  /**
+   * Remove a video's player. It is created again when the modal reopens.
+   * @param {Object} video - Video state
+   * @private
+   */
+  unloadVideo(video) {
+    clearInterval(video.progressTimer);
+
+    if (video.player && typeof video.player.destroy === 'function') {
+      video.player.destroy();
+    }
+
+    video.wrapper.replaceChildren();
+    video.player = null;
+    video.state = 'idle';
+  }
+
+  /**
+   * Stop the videos in a closing modal: pause them, or unload them when
+   * configured (or when the player can't be paused)
+   * @param {string} modalId - Modal identifier
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.unload] - Always unload
+   * @private
+   */
+  stopVideos(modalId, options = {}) {
+    const config = this.modals.get(modalId);
+    if (!config) return;
+
+    config.videos.forEach(video => {
+      if (options.unload || config.videoOnClose === 'unload' || !this.pauseVideo(video)) {
+        this.unloadVideo(video);
+      }
+    });
+
+    // Videos from theme blocks or remote content
+    config.element.querySelectorAll('video').forEach(element => element.pause());
+  }
+
+  /**
+   * Send a command to a Vimeo player
+   * @param {Object} video - Video state
+   * @param {string} method - Player method
+   * @param {*} [value] - Method argument
+   * @private
+   */
+  postVimeoMessage(video, method, value) {
+    if (!video.player || !video.player.contentWindow) return;
+
+    const message = value === undefined ? { method } : { method, value };
+    video.player.contentWindow.postMessage(JSON.stringify(message), 'https://player.vimeo.com');
+  }
+
+  /**
+   * Handle messages from Vimeo players: subscribe to playback events once
+   * ready, then report progress and completion
+   * @param {MessageEvent} e - Message event
+   * @private
+   */
+  handleVideoMessage(e) {
+    if (e.origin !== 'https://player.vimeo.com') return;
+
+    let data = e.data;
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (error) {
+        return;
+      }
+    }
+    if (!data || !data.event) return;
+
+    this.modals.forEach((config, modalId) => {
+      const video = config.videos.find(candidate => candidate.player && candidate.player.contentWindow === e.source);
+      if (!video) return;
+
+      if (data.event === 'ready') {
+        video.state = 'ready';
+        this.postVimeoMessage(video, 'addEventListener', 'timeupdate');
+        this.postVimeoMessage(video, 'addEventListener', 'ended');
+        if (!config.isShown) this.pauseVideo(video);
+      } else if (data.event === 'timeupdate' && data.data) {
+        this.updateVideoProgress(modalId, video, data.data.seconds, data.data.duration);
+      } else if (data.event === 'ended') {
+        this.handleVideoEnded(modalId, video);
+      }
+    });
+  }
+
+  /**
+   * Track YouTube playback: poll progress while playing and handle the end
+   * @param {string} modalId - Modal identifier
+   * @param {Object} video - Video state
+   * @param {number} state - YT.PlayerState value
+   * @private
+   */
+  handleYouTubeState(modalId, video, state) {
+    clearInterval(video.progressTimer);
+
+    if (state === window.YT.PlayerState.PLAYING) {
+      video.progressTimer = setInterval(() => {
+        this.updateVideoProgress(modalId, video, video.player.getCurrentTime(), video.player.getDuration());
+      }, 1000);
+    } else if (state === window.YT.PlayerState.ENDED) {
+      this.handleVideoEnded(modalId, video);
+    }
+  }
+
+  /**
+   * Emit modal:video-progress when playback passes 25%, 50% and 75%
+   * @param {string} modalId - Modal identifier
+   * @param {Object} video - Video state
+   * @param {number} currentTime - Position in seconds
+   * @param {number} duration - Duration in seconds
+   * @private
+   */
+  updateVideoProgress(modalId, video, currentTime, duration) {
+    if (!duration || !isFinite(duration)) return;
+
+    const percent = (currentTime / duration) * 100;
+
+    [25, 50, 75].forEach(milestone => {
+      if (percent < milestone || video.milestones.has(milestone)) return;
+      video.milestones.add(milestone);
+
+      this.dispatchModalEvent('modal:video-progress', modalId, {
+        provider: video.source.provider,
+        videoId: video.source.id || video.source.src,
+        percent: milestone,
+        currentTime,
+        duration
+      });
+      this.track('modal_video_progress', modalId, { video_provider: video.source.provider, video_percent: milestone });
+    });
+  }
+
+  /**
+   * Emit modal:video-ended and close the modal when configured
+   * @param {string} modalId - Modal identifier
+   * @param {Object} video - Video state
+   * @private
+   */
+  handleVideoEnded(modalId, video) {
+    clearInterval(video.progressTimer);
+
+    this.dispatchModalEvent('modal:video-ended', modalId, {
+      provider: video.source.provider,
+      videoId: video.source.id || video.source.src
+    });
+    this.track('modal_video_complete', modalId, { video_provider: video.source.provider });
+
+    const config = this.modals.get(modalId);
+    if (config && config.videoCloseOnEnd && config.isShown) {
+      this.closeModal(modalId, { reason: 'video-ended' });
+    }
+  }
+
+  /**
+   * Load a modal's body from its data-modal-src URL.
+   * Runs when the modal is shown, so content (and any video embeds) is only
+   * requested when needed. A skeleton is shown while loading and an error
+   * state with a retry button if the request fails. Responses are cached
+   * for the session.
+   * @param {string} modalId - Modal identifier
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.retry] - Load again after a failure
+   * @returns {Promise<void>} Resolves once the content (or error state) is rendered
+   * @private
+   */
+  loadRemoteContent(modalId, options = {}) {
+    const config = this.modals.get(modalId);
+    if (!config || !config.src) return Promise.resolve();
+
+    if (config.srcState === 'loaded') return Promise.resolve();
+    if (config.srcState === 'loading') return config.srcRequest;
+    if (config.srcState === 'error' && !options.retry) return Promise.resolve();
+
+    const url = this.getRemoteContentUrl(config);
+    const body = config.element.querySelector('.modal__body');
+    const cached = this.getCachedRemoteContent(url);
+
+    if (cached !== null) {
+      this.renderRemoteContent(modalId, cached);
+      return Promise.resolve();
+    }
+
+    config.srcState = 'loading';
+    this.showLoadingState(body);
+
+    config.srcRequest = fetch(url, { headers: { Accept: config.srcSection ? 'application/json' : 'text/html' } })
+      .then(response => {
+        if (!response.ok) throw new Error(`Request failed with status ${response.status}`);
+        return config.srcSection ? response.json() : response.text();
+      })
+      .then(data => {
+        const html = this.extractRemoteContent(config, data);
+        this.cacheRemoteContent(url, html);
+        this.renderRemoteContent(modalId, html);
+      })
+      .catch(error => {
+        config.srcState = 'error';
+        body.innerHTML = `
+          <div class="modal__remote-error" role="alert">
+            <p class="modal__text">Sorry, this content couldn't be loaded.</p>
+            <button type="button" class="modal__button" data-modal-retry>Try again</button>
+          </div>
+        `;
+
+        if (this.isDebugMode()) {
+          console.warn(`Modal ${modalId}: Failed to load ${url}`, error);
+        }
+
+        this.dispatchModalEvent('modal:content-error', modalId, { url, error });
+      })
+      .finally(() => {
+        body.removeAttribute('aria-busy');
+        config.srcRequest = null;
+      });
+
+    return config.srcRequest;
+  }
+
+  /**
+   * Show a loading skeleton in a container
+   * @param {HTMLElement} container - Container to fill
+   * @private
+   */
+  showLoadingState(container) {
+    container.setAttribute('aria-busy', 'true');
+    container.innerHTML = `
+      <div class="modal__skeleton" aria-hidden="true">
+        <div class="modal__skeleton-line modal__skeleton-line--title"></div>
+        <div class="modal__skeleton-line"></div>
+        <div class="modal__skeleton-line"></div>
+        <div class="modal__skeleton-line modal__skeleton-line--short"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Load a product from /products/{handle}.js and render the quick view
+   * @param {string} modalId - Modal identifier
+   * @param {string} handle - Product handle
+   * @returns {Promise<Object|null>} Product data, or null on failure
+   * @private
+   */
+  loadProduct(modalId, handle) {
+    const config = this.modals.get(modalId);
+    if (!config) return Promise.resolve(null);
+
+    const body = config.element.querySelector('.modal__body');
+
+    if (!handle) {
+      console.warn(`Modal ${modalId}: Product quick view requires a data-product-handle`);
+      return Promise.resolve(null);
+    }
+
+    config.productHandle = handle;
+
+    const request = this.products.has(handle)
+      ? Promise.resolve(this.products.get(handle))
+      : (this.showLoadingState(body), fetch(`${this.getShopifyRoot()}products/${encodeURIComponent(handle)}.js`, {
+        headers: { Accept: 'application/json' }
+      })
+        .then(response => {
+          if (!response.ok) throw new Error(`Request failed with status ${response.status}`);
+          return response.json();
+        })
+        .then(product => {
+          this.products.set(handle, product);
+          return product;
+        }));
+
+    return request
+      .then(product => {
+        // Another product may have been requested while this one loaded
+        if (config.productHandle !== handle) return product;
+
+        this.renderProduct(modalId, product);
+        return product;
+      })
+      .catch(error => {
+        body.innerHTML = `
+          <div class="modal__remote-error" role="alert">
+            <p class="modal__text">Sorry, this product couldn't be loaded.</p>
+          </div>
+        `;
+
+        if (this.isDebugMode()) {
+          console.warn(`Modal ${modalId}: Failed to load product ${handle}`, error);
+        }
+        return null;
+      })
+      .finally(() => body.removeAttribute('aria-busy'));
+  }
+
+  /**
+   * Render the quick view for a product
+   * @param {string} modalId - Modal identifier
+   * @param {Object} product - Product from /products/{handle}.js
+   * @private
+   */
+  renderProduct(modalId, product) {
+    const config = this.modals.get(modalId);
+    const body = config.element.querySelector('.modal__body');
+    const escape = (value) => this.escapeHtml(value);
+    const titleId = `${modalId}-product-title`;
+    const initialVariant = product.variants.find(variant => variant.available) || product.variants[0];
+    const hasOptions = !(product.variants.length === 1 && product.options.length === 1 && product.options[0].values.length === 1);
+
+    const thumbnails = product.images.length > 1 ? `
+      <div class="modal__product-thumbnails">
+        ${product.images.map((src, i) => `
+          <button type="button" class="modal__product-thumbnail" data-modal-product-image="${escape(src)}" aria-label="Show image ${i + 1}">
+            <img src="${escape(this.getImageUrl(src, 160))}" alt="" loading="lazy">
+          </button>
+        `).join('')}
+      </div>
+    ` : '';
+
+    const options = hasOptions ? product.options.map((option, i) => `
+      <div class="modal__form-field">
+        <label class="modal__label" for="${modalId}-option-${i}">${escape(option.name)}</label>
+        <select class="modal__input" id="${modalId}-option-${i}" data-modal-product-option="${i}">
+          ${option.values.map(value => `
+            <option value="${escape(value)}"${initialVariant.options[i] === value ? ' selected' : ''}>${escape(value)}</option>
+          `).join('')}
+        </select>
+      </div>
+    `).join('') : '';
+
+    body.innerHTML = `
+      <div class="modal__product" data-modal-product>
+        <div class="modal__product-media">
+          ${product.featured_image ? `<img class="modal__product-image" data-modal-product-main-image src="${escape(this.getImageUrl(product.featured_image, 800))}" alt="${escape(product.title)}">` : ''}
+          ${thumbnails}
+        </div>
+        <div class="modal__product-info">
+          <h2 class="modal__title modal__product-title" id="${titleId}">${escape(product.title)}</h2>
+          <p class="modal__product-price" data-modal-product-price></p>
+          <form class="modal__form modal__product-form" data-modal-product-form>
+            <input type="hidden" name="id" value="${initialVariant.id}">
+            ${options}
+            <div class="modal__form-field">
+              <label class="modal__label" for="${modalId}-quantity">Quantity</label>
+              <input class="modal__input modal__product-quantity" id="${modalId}-quantity" type="number" name="quantity" value="1" min="1" step="1">
+            </div>
+            <div class="modal__form-actions">
+              <button type="submit" class="modal__button modal__button--primary" data-modal-add-to-cart>Add to cart</button>
+            </div>
+            <div class="modal__form-message" data-modal-form-message role="alert" hidden></div>
+          </form>
+          <a class="modal__product-link" href="${escape(product.url || `${this.getShopifyRoot()}products/${product.handle}`)}">View full details</a>
+        </div>
+      </div>
+    `;
+
+    config.element.setAttribute('aria-labelledby', titleId);
+
+    body.querySelectorAll('[data-modal-product-option]').forEach(select => {
+      select.addEventListener('change', () => this.updateProductVariant(modalId, product));
+    });
+
+    body.querySelectorAll('[data-modal-product-image]').forEach(button => {
+      button.addEventListener('click', () => {
+        const image = body.querySelector('[data-modal-product-main-image]');
+        if (image) image.src = this.getImageUrl(button.dataset.modalProductImage, 800);
+      });
+    });
+
+    this.updateProductVariant(modalId, product);
+
+    if (config.isShown) {
+      this.focusInitialElement(modalId);
+    }
+
+    this.dispatchModalEvent('modal:product-loaded', modalId, { product });
+  }
+
+  /**
+   * Sync the selected variant with the option pickers: price, image and availability
+   * @param {string} modalId - Modal identifier
+   * @param {Object} product - Product from /products/{handle}.js
+   * @returns {Object|null} Selected variant
+   * @private
+   */
+  updateProductVariant(modalId, product) {
+    const config = this.modals.get(modalId);
+    const body = config.element.querySelector('.modal__body');
+    const form = body.querySelector('[data-modal-product-form]');
+    if (!form) return null;
+
+    const selected = Array.from(body.querySelectorAll('[data-modal-product-option]')).map(select => select.value);
+    const variant = selected.length
+      ? product.variants.find(candidate => selected.every((value, i) => candidate.options[i] === value)) || null
+      : product.variants[0];
+
+    const button = form.querySelector('[data-modal-add-to-cart]');
+    const price = body.querySelector('[data-modal-product-price]');
+
+    if (!variant) {
+      button.disabled = true;
+      button.textContent = 'Unavailable';
+      return null;
+    }
+
+    form.elements.id.value = variant.id;
+    button.disabled = !variant.available;
+    button.textContent = variant.available ? 'Add to cart' : 'Sold out';
+
+    price.innerHTML = variant.compare_at_price > variant.price
+      ? `<span class="modal__product-price--sale">${this.escapeHtml(this.formatMoney(variant.price))}</span> <s>${this.escapeHtml(this.formatMoney(variant.compare_at_price))}</s>`
+      : this.escapeHtml(this.formatMoney(variant.price));
+
+    const image = body.querySelector('[data-modal-product-main-image]');
+    if (image && variant.featured_image) {
+      image.src = this.getImageUrl(variant.featured_image.src, 800);
+    }
+
+    return variant;
+  }
+
+  /**
+   * Add the quick view's selected variant to the cart through /cart/add.js
+   * @param {string} modalId - Modal identifier
+   * @param {HTMLFormElement} form - Quick view form
+   * @returns {Promise<Object|null>} Added item, or null on failure
+   * @private
+   */
+  addProductToCart(modalId, form) {
+    const config = this.modals.get(modalId);
+    const button = form.querySelector('[data-modal-add-to-cart]');
+    const product = this.products.get(config.productHandle);
+    const item = {
+      id: Number(form.elements.id.value),
+      quantity: Math.max(1, parseInt(form.elements.quantity.value) || 1)
+    };
+
+    this.setFormMessage(form, '', null);
+    form.setAttribute('aria-busy', 'true');
+    button.disabled = true;
+
+    return fetch(`${this.getShopifyRoot()}cart/add.js`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({ items: [item] })
+    })
+      .then(response => response.json().then(data => {
+        if (!response.ok) throw new Error(data.description || data.message || 'Could not add to cart');
+        return data;
+      }))
+      .then(data => {
+        const added = data.items ? data.items[0] : data;
+        this.setFormMessage(form, 'Added to cart', 'success');
+
+        if (this.isDebugMode()) {
+          console.log(`Modal ${modalId}: Added variant ${item.id} to cart`);
+        }
+
+        this.dispatchModalEvent('modal:added-to-cart', modalId, { item: added, product });
+        this.track('modal_add_to_cart', modalId, {
+          product_handle: config.productHandle,
+          variant_id: item.id,
+          quantity: item.quantity
+        });
+        this.recordOutcome(modalId, 'converted');
+        return added;
+      })
+      .catch(error => {
+        this.setFormMessage(form, error.message, 'error');
+        this.dispatchModalEvent('modal:add-to-cart-error', modalId, { error, product });
+        return null;
+      })
+      .finally(() => {
+        form.removeAttribute('aria-busy');
+        this.updateProductVariant(modalId, product);
+      });
+  }
+
+  /**
+   * Format an amount in cents with the theme's formatter or Intl
+   * @param {number} cents - Amount in cents
+   * @returns {string} Formatted amount
+   * @private
+   */
+  formatMoney(cents) {
+    const shopify = window.Shopify || {};
+
+    if (typeof shopify.formatMoney === 'function') {
+      return shopify.formatMoney(cents);
+    }
+
+    const currency = (shopify.currency && shopify.currency.active) || 'USD';
+    try {
+      return new Intl.NumberFormat(document.documentElement.lang || undefined, { style: 'currency', currency })
+        .format(cents / 100);
+    } catch (error) {
+      return (cents / 100).toFixed(2);
+    }
+  }
+
+  /**
+   * Add a width parameter to a Shopify CDN image URL
+   * @param {string} src - Image URL
+   * @param {number} width - Requested width
+   * @returns {string} Sized image URL
+   * @private
+   */
+  getImageUrl(src, width) {
+    return `${src}${src.includes('?') ? '&' : '?'}width=${width}`;
+  }
+
+  /**
+   * Escape a value for use in HTML
+   * @param {*} value - Value to escape
+   * @returns {string} Escaped string
+   * @private
+   */
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Open the gallery modal from matching images and let the arrow keys
+   * move between images while it is open
+   * @param {string} modalId - Modal identifier
+   * @param {Object} config - Modal configuration
+   * @private
+   */
+  setupGallery(modalId, config) {
+    this.addListener(config, document, 'click', (e) => {
+      const target = e.target.closest ? e.target.closest(config.gallerySelector) : null;
+      if (!target || config.element.contains(target)) return;
+
+      e.preventDefault();
+      const elements = this.getGalleryElements(target, config);
+      this.setGalleryItems(modalId, elements.map(element => this.getGalleryItem(element)), elements.indexOf(target));
+      this.openFromPage(modalId, target);
+    });
+
+    this.addListener(config, document, 'keydown', (e) => {
+      if (!config.isShown || !config.gallery || this.queue.activeId !== modalId) return;
+
+      if (e.key === 'ArrowRight' || e.key === 'ArrowLeft') {
+        e.preventDefault();
+        this.showGallerySlide(modalId, config.gallery.index + (e.key === 'ArrowRight' ? 1 : -1));
+      }
+    });
+  }
+
+  /**
+   * Get the images in the same group as a clicked image. Images are grouped
+   * by the data-modal-gallery value on the image or an ancestor; an image
+   * without a group opens on its own.
+   * @param {HTMLElement} target - Clicked element matching the gallery selector
+   * @param {Object} config - Modal configuration
+   * @returns {HTMLElement[]} Elements in page order
+   * @private
+   */
+  getGalleryElements(target, config) {
+    const groupElement = target.closest('[data-modal-gallery]');
+    if (!groupElement) return [target];
+
+    const group = groupElement.dataset.modalGallery;
+
+    return Array.from(document.querySelectorAll(config.gallerySelector)).filter(element => {
+      const elementGroup = element.closest('[data-modal-gallery]');
+      return elementGroup && elementGroup.dataset.modalGallery === group && !config.element.contains(element);
+    });
+  }
+
+  /**
+   * Describe a gallery image: the full size source (data-modal-gallery-src,
+   * a linked image or the largest srcset candidate) and its caption
+   * (data-modal-gallery-caption, the figure's figcaption or the alt text)
+   * @param {HTMLElement} element - Image, or an element containing one
+   * @returns {Object} { src, alt, caption }
+   * @private
+   */
+  getGalleryItem(element) {
+    const image = element.matches('img') ? element : element.querySelector('img');
+    const link = element.closest('a[href]');
+    const figure = element.closest('figure');
+    const figcaption = figure && figure.querySelector('figcaption');
+
+    let src = element.dataset.modalGallerySrc || (image && image.dataset.modalGallerySrc) || '';
+    if (!src && link && /\.(jpe?g|png|gif|webp|avif)(\?|$)/i.test(link.href)) src = link.href;
+    if (!src && image) src = this.getLargestImageSource(image);
+
+    return {
+      src,
+      alt: image ? image.alt : '',
+      caption: element.dataset.modalGalleryCaption || (figcaption ? figcaption.textContent.trim() : '') || (image ? image.alt : '')
+    };
+  }
+
+  /**
+   * Get the widest candidate from an image's srcset
+   * @param {HTMLImageElement} image - Image element
+   * @returns {string} Image URL
+   * @private
+   */
+  getLargestImageSource(image) {
+    const candidates = (image.getAttribute('srcset') || '')
+      .split(',')
+      .map(candidate => candidate.trim().split(/\s+/))
+      .filter(([url]) => url)
+      .map(([url, descriptor]) => ({ url, width: parseInt(descriptor) || 0 }))
+      .sort((a, b) => b.width - a.width);
+
+    return candidates.length ? new URL(candidates[0].url, window.location.href).href : image.currentSrc || image.src;
+  }
+
+  /**
+   * Set the images a gallery modal shows next time it renders
+   * @param {string} modalId - Modal identifier
+   * @param {Array<Object|string>} items - Image URLs or { src, alt, caption }
+   * @param {number} [index] - Image to start with
+   * @private
+   */
+  setGalleryItems(modalId, items, index = 0) {
+    const config = this.modals.get(modalId);
+    if (!config) return;
+
+    config.gallery = {
+      items: items.map(item => typeof item === 'string' ? { src: item, alt: '', caption: '' } : { alt: '', caption: '', ...item }),
+      index: Math.max(0, index),
+      scale: 1,
+      x: 0,
+      y: 0
+    };
+  }
+
+  /**
+   * Render the gallery stage (built once per modal) and show the current image
+   * @param {string} modalId - Modal identifier
+   * @private
+   */
+  renderGallery(modalId) {
+    const config = this.modals.get(modalId);
+    if (!config) return;
+
+    if (!config.gallery || !config.gallery.items.length) {
+      if (this.isDebugMode()) {
+        console.log(`Modal ${modalId}: Gallery opened without images`);
+      }
+      return;
+    }
+
+    const body = config.element.querySelector('.modal__body');
+
+    if (!body.querySelector('[data-modal-gallery-stage]')) {
+      const arrow = (path) => `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="${path}" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>`;
+
+      body.innerHTML = `
+        <div class="modal__gallery" data-modal-gallery-stage>
+          <div class="modal__gallery-viewport" data-modal-gallery-viewport>
+            <img class="modal__gallery-image" data-modal-gallery-image alt="" draggable="false">
+          </div>
+          <button type="button" class="modal__gallery-nav modal__gallery-nav--prev" data-modal-gallery-prev aria-label="Previous image">${arrow('M15 18L9 12L15 6')}</button>
+          <button type="button" class="modal__gallery-nav modal__gallery-nav--next" data-modal-gallery-next aria-label="Next image">${arrow('M9 18L15 12L9 6')}</button>
+          <div class="modal__gallery-footer">
+            <p class="modal__gallery-caption" data-modal-gallery-caption></p>
+            <p class="modal__gallery-counter" data-modal-gallery-counter aria-live="polite"></p>
+          </div>
+        </div>
+      `;
+
+      body.querySelector('[data-modal-gallery-prev]').addEventListener('click', () => {
+        this.showGallerySlide(modalId, config.gallery.index - 1);
+      });
+      body.querySelector('[data-modal-gallery-next]').addEventListener('click', () => {
+        this.showGallerySlide(modalId, config.gallery.index + 1);
+      });
+
+      this.setupGalleryGestures(modalId, body.querySelector('[data-modal-gallery-viewport]'));
+    }
+
+    this.showGallerySlide(modalId, config.gallery.index);
+  }
+
+  /**
+   * Show a gallery image (wrapping around at either end) and preload its neighbours
+   * @param {string} modalId - Modal identifier
+   * @param {number} index - Image index
+   * @private
+   */
+  showGallerySlide(modalId, index) {
+    const config = this.modals.get(modalId);
+    const state = config && config.gallery;
+    const stage = config && config.element.querySelector('[data-modal-gallery-stage]');
+    if (!state || !stage) return;
+
+    const count = state.items.length;
+    state.index = ((index % count) + count) % count;
+    const item = state.items[state.index];
+
+    const image = stage.querySelector('[data-modal-gallery-image]');
+    image.src = item.src;
+    image.alt = item.alt;
+
+    const caption = stage.querySelector('[data-modal-gallery-caption]');
+    caption.textContent = item.caption;
+    caption.hidden = !item.caption;
+
+    const counter = stage.querySelector('[data-modal-gallery-counter]');
+    counter.textContent = `${state.index + 1} / ${count}`;
+
+    stage.querySelectorAll('[data-modal-gallery-prev], [data-modal-gallery-next]').forEach(button => {
+      button.hidden = count < 2;
+    });
+    counter.hidden = count < 2;
+
+    this.zoomGallery(modalId, 1);
+
+    if (count > 1) {
+      [state.index + 1, state.index - 1].forEach(neighbour => {
+        const preload = new Image();
+        preload.src = state.items[(neighbour + count) % count].src;
+      });
+    }
+
+    this.dispatchModalEvent('modal:gallery-change', modalId, { index: state.index, item });
+  }
+
+  /**
+   * Zoom the current gallery image. Scale 1 resets the position.
+   * @param {string} modalId - Modal identifier
+   * @param {number} scale - Zoom level (1 to 4)
+   * @private
+   */
+  zoomGallery(modalId, scale) {
+    const config = this.modals.get(modalId);
+    const state = config && config.gallery;
+    if (!state) return;
+
+    state.scale = Math.min(4, Math.max(1, scale));
+    if (state.scale === 1) {
+      state.x = 0;
+      state.y = 0;
+    }
+
+    this.applyGalleryTransform(config);
+  }
+
+  /**
+   * Apply the gallery zoom and pan to the image
+   * @param {Object} config - Modal configuration
+   * @private
+   */
+  applyGalleryTransform(config) {
+    const stage = config.element.querySelector('[data-modal-gallery-stage]');
+    if (!stage) return;
+
+    const { scale, x, y } = config.gallery;
+    stage.querySelector('[data-modal-gallery-image]').style.transform = `translate(${x}px, ${y}px) scale(${scale})`;
+    stage.classList.toggle('modal__gallery--zoomed', scale > 1);
+  }
+
+  /**
+   * Touch gestures for the gallery: swipe to change image, pinch to zoom,
+   * drag to pan a zoomed image, and double-click or double-tap to toggle zoom
+   * @param {string} modalId - Modal identifier
+   * @param {HTMLElement} viewport - Gallery viewport
+   * @private
+   */
+  setupGalleryGestures(modalId, viewport) {
+    const config = this.modals.get(modalId);
+    const distance = (touches) => Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY);
+    let swipe = null;
+    let pinch = null;
+    let lastTap = 0;
+
+    viewport.addEventListener('touchstart', (e) => {
+      const state = config.gallery;
+      if (!state) return;
+
+      if (e.touches.length === 2) {
+        pinch = { distance: distance(e.touches), scale: state.scale };
+        swipe = null;
+      } else if (e.touches.length === 1 && !pinch) {
+        swipe = { x: e.touches[0].clientX, y: e.touches[0].clientY, panX: state.x, panY: state.y };
+      }
+    }, { passive: true });
+
+    viewport.addEventListener('touchmove', (e) => {
+      const state = config.gallery;
+      if (!state) return;
+
+      if (pinch && e.touches.length === 2) {
+        e.preventDefault();
+        this.zoomGallery(modalId, pinch.scale * distance(e.touches) / pinch.distance);
+      } else if (swipe && state.scale > 1 && e.touches.length === 1) {
+        e.preventDefault();
+        state.x = swipe.panX + e.touches[0].clientX - swipe.x;
+        state.y = swipe.panY + e.touches[0].clientY - swipe.y;
+        this.applyGalleryTransform(config);
+      }
+    }, { passive: false });
+
+    viewport.addEventListener('touchend', (e) => {
+      const state = config.gallery;
+
+      if (pinch) {
+        if (e.touches.length === 0) pinch = null;
+        return;
+      }
+      if (!swipe || !state) return;
+
+      const touch = e.changedTouches[0];
+      const dx = touch.clientX - swipe.x;
+      const dy = touch.clientY - swipe.y;
+      swipe = null;
+
+      if (state.scale === 1 && Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy)) {
+        this.showGallerySlide(modalId, state.index + (dx < 0 ? 1 : -1));
+      } else if (Math.abs(dx) < 10 && Math.abs(dy) < 10) {
+        const now = Date.now();
+        if (now - lastTap < 300) {
+          this.zoomGallery(modalId, state.scale > 1 ? 1 : 2);
+          lastTap = 0;
+        } else {
+          lastTap = now;
+        }
+      }
+    });
+
+    viewport.addEventListener('dblclick', () => {
+      if (config.gallery) this.zoomGallery(modalId, config.gallery.scale > 1 ? 1 : 2);
+    });
+  }
+
+  /**
+   * Build the request URL for remote content.
+   * With data-modal-src-section the Section Rendering API is used (?sections=id).
+   * @param {Object} config - Modal configuration
+   * @returns {string} Request URL
+   * @private
+   */
+  getRemoteContentUrl(config) {
+    if (!config.srcSection) return config.src;
+
+    const url = new URL(config.src, window.location.origin);
+    url.searchParams.set('sections', config.srcSection);
+    return url.pathname + url.search;
+  }
+
+  /**
+   * Pick the HTML to render from a remote response.
+   * Section Rendering API responses are keyed by section ID; HTML pages are
+   * narrowed to data-modal-src-selector, then <main>, then <body>.
+   * @param {Object} config - Modal configuration
+   * @param {string|Object} data - Response text or Section Rendering JSON
+   * @returns {string} HTML to render
+   * @private
+   */
+  extractRemoteContent(config, data) {
+    const html = config.srcSection ? data[config.srcSection] || '' : data;
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    const fragment = (config.srcSelector && doc.querySelector(config.srcSelector)) ||
+      (!config.srcSection && doc.querySelector('main')) ||
+      doc.body;
+
+    return fragment.innerHTML;
+  }
+
+  /**
+   * Render loaded content into a modal's body and wire it up
+   * @param {string} modalId - Modal identifier
+   * @param {string} html - Content HTML
+   * @private
+   */
+  renderRemoteContent(modalId, html) {
+    const config = this.modals.get(modalId);
+    if (!config) return;
+
+    config.element.querySelector('.modal__body').innerHTML = html;
+    config.srcState = 'loaded';
+
+    this.setupSteps(modalId, config);
+
+    if (config.isShown) {
+      this.loadVideos(modalId);
+      this.focusInitialElement(modalId);
+    }
+
+    if (this.isDebugMode()) {
+      console.log(`Modal ${modalId}: Remote content loaded`);
+    }
+
+    this.dispatchModalEvent('modal:content-loaded', modalId, { url: this.getRemoteContentUrl(config) });
+  }
+
+  /**
+   * Read remote content cached in memory or sessionStorage
+   * @param {string} url - Request URL
+   * @returns {string|null} Cached HTML
+   * @private
+   */
+  getCachedRemoteContent(url) {
+    if (this.remoteContent.has(url)) return this.remoteContent.get(url);
+
+    const cached = this.storage.session.getItem(this.storage.prefix + 'src_' + url);
+    if (cached !== null) this.remoteContent.set(url, cached);
+    return cached;
+  }
+
+  /**
+   * Cache remote content for the session
+   * @param {string} url - Request URL
+   * @param {string} html - Content HTML
+   * @private
+   */
+  cacheRemoteContent(url, html) {
+    this.remoteContent.set(url, html);
+
+    try {
+      this.storage.session.setItem(this.storage.prefix + 'src_' + url, html);
+    } catch (error) {
+      // Storage full: the in-memory cache still covers this page view
+    }
+  }
+
+  /**
+   * Trigger modal display if conditions are met
+   * @param {string} modalId - Modal identifier
+   * @public
+   */
+  triggerModal(modalId) {
+    const config = this.modals.get(modalId);
+    if (!config || config.isShown) return;
+
+    if (!this.canShowModal(modalId, config)) {
+      if (this.isDebugMode()) {
+        console.log(`Modal ${modalId}: Blocked at trigger time (frequency: ${this.getFrequencyBlock(modalId, config)})`);
+      }
+      return;
+    }
+
+    const blockingRule = this.getBlockingRule(modalId);
+    if (blockingRule) {
+      if (this.isDebugMode()) {
+        console.log(`Modal ${modalId}: Blocked at trigger time (targeting rule ${this.describeRule(blockingRule)})`);
+      }
+      return;
+    }
+
+    if (!this.isWithinSchedule(config)) {
+      if (this.isDebugMode()) {
+        console.log(`Modal ${modalId}: Blocked at trigger time (outside schedule)`);
+      }
+      return;
+    }
+
+    this.requestModal(modalId);
+  }
+
+  /**
+   * Arbitrate a display request against the currently open modal.
+   * A higher priority modal replaces the open one, which is queued again and
+   * resumes once the higher priority modal closes; otherwise the requesting
+   * modal's conflict setting decides whether it is queued, dropped, or replaces it.
+   * @param {string} modalId - Modal identifier
+   * @param {Object} [options] - Request options
+   * @param {boolean} [options.manual] - Request came from the public API (ignores the page cap)
+   * @param {string} [options.parent] - Open modal to stack on top of, bypassing the queue
+   * @private
+   */
+  requestModal(modalId, options = {}) {
+    const config = this.modals.get(modalId);
+    if (!config || config.isShown) return;
+
+    // Only modals the visitor asked for get a #modal=id history entry
+    if (options.manual) config.requested = true;
+
+    const parent = options.parent ? this.modals.get(options.parent) : null;
+    if (parent && parent.isShown) {
+      this.showModal(modalId, { parent: options.parent });
+      return;
+    }
+
+    if (!options.manual && this.isPageCapReached()) {
+      if (this.isDebugMode()) {
+        console.log(`Modal ${modalId}: Dropped (page limit of ${this.queue.maxPerPage} reached)`);
+      }
+      return;
+    }
+
+    const activeId = this.queue.activeId;
+    const active = activeId ? this.modals.get(activeId) : null;
+
+    if (!active || !active.isShown) {
+      this.showModal(modalId);
+      return;
+    }
+
+    const action = config.priority > active.priority ? 'replace' : config.conflict;
+
+    switch (action) {
+      case 'replace': {
+        if (this.isDebugMode()) {
+          console.log(`Modal ${modalId}: Replacing open modal ${activeId}`);
+        }
+
+        // Closing the bottom modal closes any modals stacked on it. A replacement
+        // takes over the replaced modal's history entry.
+        const replacedId = this.stack[0] || activeId;
+        const replaced = this.modals.get(replacedId);
+        if (replaced.historyMode === 'push') config.requested = true;
+
+        // A lower priority modal whose trigger already fired comes back afterwards
+        if (config.priority > active.priority) {
+          replaced.resumed = true;
+          replaced.requested = replaced.historyMode === 'push';
+          this.enqueueModal(replacedId);
+        }
+
+        this.closeModal(replacedId, { force: true, skipQueue: true, reason: 'replaced' });
+        this.showModal(modalId);
+        break;
+      }
+
+      case 'drop':
+        config.requested = false;
+        if (this.isDebugMode()) {
+          console.log(`Modal ${modalId}: Dropped (modal ${activeId} is open)`);
+        }
+        break;
+
+      case 'queue':
+      default:
+        this.enqueueModal(modalId);
+    }
+  }
+
+  /**
+   * Add a modal to the pending queue
+   * @param {string} modalId - Modal identifier
+   * @private
+   */
+  enqueueModal(modalId) {
+    if (this.queue.pending.includes(modalId)) return;
+
+    this.queue.pending.push(modalId);
+
+    if (this.isDebugMode()) {
+      console.log(`Modal ${modalId}: Queued (${this.queue.pending.length} pending)`);
+    }
+  }
+
+  /**
+   * Show the highest priority pending modal once no modal is open.
+   * Equal priorities keep the order in which they were queued.
+   * @private
+   */
+  processQueue() {
+    const active = this.queue.activeId ? this.modals.get(this.queue.activeId) : null;
+    if (active && active.isShown) return;
+
+    const priorityOf = (id) => (this.modals.get(id) || {}).priority || 0;
+
+    while (this.queue.pending.length) {
+      this.queue.pending.sort((a, b) => priorityOf(b) - priorityOf(a));
+
+      const nextId = this.queue.pending[0];
+      const config = this.modals.get(nextId);
+      if (!config || config.isShown) {
+        this.queue.pending.shift();
+        continue;
+      }
+
+      // A replaced modal resuming was already counted as an impression
+      if (config.resumed) {
+        this.showModal(nextId);
+        return;
+      }
+
+      if (!this.canShowModal(nextId, config)) {
+        if (this.isDebugMode()) {
+          console.log(`Modal ${nextId}: Removed from queue (frequency)`);
+        }
+        this.dropQueuedModal(nextId, 'frequency');
+        continue;
+      }
+
+      if (this.getBlockingRule(nextId)) {
+        if (this.isDebugMode()) {
+          console.log(`Modal ${nextId}: Removed from queue (targeting rules)`);
+        }
+        this.dropQueuedModal(nextId, 'targeting');
+        continue;
+      }
+
+      if (this.isPageCapReached()) {
+        if (this.isDebugMode()) {
+          console.log(`Modal Manager: Page limit reached, discarding ${this.queue.pending.length} queued modals`);
+        }
+        [...this.queue.pending].forEach(id => this.dropQueuedModal(id, 'page-limit'));
+        return;
+      }
+
+      this.showModal(nextId);
+      return;
+    }
+  }
+
+  /**
+   * Remove a modal from the queue without showing it. The modal:dropped
+   * event lets callers of open() know it will not open.
+   * @param {string} modalId - Modal identifier
+   * @param {string} reason - 'frequency', 'device', 'targeting', 'page-limit', 'destroyed' or 'api'
+   * @private
+   */
+  dropQueuedModal(modalId, reason) {
+    if (!this.queue.pending.includes(modalId)) return;
+
+    const config = this.modals.get(modalId);
+    if (config) {
+      config.requested = false;
+      config.resumed = false;
+    }
+
+    this.queue.pending = this.queue.pending.filter(id => id !== modalId);
+    this.dispatchModalEvent('modal:dropped', modalId, { reason });
+  }
+
+  /**
+   * Check whether the page-level display cap has been reached
+   * @returns {boolean} Whether no further modals may be shown on this page
+   * @private
+   */
+  isPageCapReached() {
+    return this.queue.maxPerPage > 0 && this.queue.shownCount >= this.queue.maxPerPage;
+  }
+
+  /**
+   * Lock page scroll while a modal is open. Locks are counted so the page
+   * only scrolls again once every modal that locked it has closed.
+   * The scrollbar's width is added to the body's padding so the layout
+   * doesn't shift, and exposed as --modal-scrollbar-width for fixed headers.
+   * iOS Safari ignores overflow: hidden on the body, so there the body is
+   * fixed in place and the scroll position restored on unlock. Modal
+   * content keeps scrolling; overscroll-behavior in the stylesheet stops
+   * it from chaining to the page.
+   * @private
+   */
+  lockScroll() {
+    this.scrollLock.count++;
+    if (this.scrollLock.count > 1) return;
+
+    const body = document.body;
+    const root = document.documentElement;
+    const scrollbarWidth = window.innerWidth - root.clientWidth;
+
+    this.scrollLock.styles = {
+      overflow: body.style.overflow,
+      paddingRight: body.style.paddingRight,
+      position: body.style.position,
+      top: body.style.top,
+      left: body.style.left,
+      right: body.style.right,
+      width: body.style.width
+    };
+    this.scrollLock.scrollX = window.scrollX;
+    this.scrollLock.scrollY = window.scrollY;
+    this.scrollLock.fixed = this.isIOS();
+
+    if (scrollbarWidth > 0) {
+      const paddingRight = parseFloat(window.getComputedStyle(body).paddingRight) || 0;
+      body.style.paddingRight = `${paddingRight + scrollbarWidth}px`;
+      root.style.setProperty('--modal-scrollbar-width', `${scrollbarWidth}px`);
+    }
+
+    body.style.overflow = 'hidden';
+
+    if (this.scrollLock.fixed) {
+      body.style.position = 'fixed';
+      body.style.top = `-${this.scrollLock.scrollY}px`;
+      body.style.left = `-${this.scrollLock.scrollX}px`;
+      body.style.right = '0';
+      body.style.width = '100%';
+    }
+
+    root.classList.add('modal-scroll-locked');
+  }
+
+  /**
+   * Release a scroll lock taken with lockScroll. The last release restores
+   * the body's styles and, on iOS, the scroll position.
+   * @private
+   */
+  unlockScroll() {
+    if (this.scrollLock.count === 0) return;
+
+    this.scrollLock.count--;
+    if (this.scrollLock.count > 0) return;
+
+    const body = document.body;
+    const root = document.documentElement;
+
+    Object.assign(body.style, this.scrollLock.styles);
+    root.style.removeProperty('--modal-scrollbar-width');
+    root.classList.remove('modal-scroll-locked');
+
+    if (this.scrollLock.fixed) {
+      // Jump straight back, even when the theme uses smooth scrolling
+      const scrollBehavior = root.style.scrollBehavior;
+      root.style.scrollBehavior = 'auto';
+      window.scrollTo(this.scrollLock.scrollX, this.scrollLock.scrollY);
+      root.style.scrollBehavior = scrollBehavior;
+    }
+
+    this.scrollLock.styles = null;
+    this.scrollLock.fixed = false;
+  }
+
+  /**
+   * Detect iOS and iPadOS (which reports itself as a Mac with touch)
+   * @returns {boolean} Whether the device runs iOS
+   * @private
+   */
+  isIOS() {
+    const userAgent = navigator.userAgent;
+    return /iPad|iPhone|iPod/.test(userAgent) || (/Macintosh/.test(userAgent) && navigator.maxTouchPoints > 1);
+  }
+
+  /**
+   * Close the open modal on top of the stack
+   * @param {KeyboardEvent} e - Keydown event
+   * @private
+   */
+  handleEscapeKey(e) {
+    if (e.key !== 'Escape' || !this.stack.length) return;
+
+    this.closeModal(this.stack[this.stack.length - 1], { reason: 'escape' });
+  }
+
+  /**
+   * Show modal with animations and state management
+   * @param {string} modalId - Modal identifier
+   * @param {Object} [options] - Show options
+   * @param {string} [options.parent] - Open modal this one is stacked on
+   * @param {boolean} [options.preview] - Theme editor preview: not tracked, counted or added to history
+   * @private
+   */
+  showModal(modalId, options = {}) {
+    const config = this.modals.get(modalId);
+    if (!config) return;
+
+    config.preview = !!options.preview;
+
+    const element = config.element;
+
+    // Cancel the hide of a close that is still animating
+    clearTimeout(config.hideTimer);
+
+    // Layer above the parent, which stays visible (dimmed) or hides
+    const parent = options.parent ? this.modals.get(options.parent) : null;
+    config.parentId = parent && parent.isShown ? options.parent : null;
+    this.stack = this.stack.filter(id => id !== modalId);
+    this.stack.push(modalId);
+
+    if (config.parentId) {
+      element.style.zIndex = String((parseInt(window.getComputedStyle(parent.element).zIndex) || 9999) + 1);
+      parent.element.classList.add('modal--covered');
+      parent.element.classList.toggle('modal--covered-hidden', parent.parentDisplay === 'hide');
+    }
+    
+    // Show the modal
+    element.style.display = 'block';
+    element.setAttribute('aria-hidden', 'false');
+    
+    // Fetch remote content before the animation starts
+    if (config.src) {
+      this.loadRemoteContent(modalId);
+    }
+
+    // Create video players only now, or resume them
+    this.loadVideos(modalId);
+
+    // Product quick view for the clicked product (or the configured default)
+    if (config.contentType === 'product') {
+      const productElement = config.opener && config.opener.closest('[data-product-handle]');
+      this.loadProduct(modalId, productElement ? productElement.dataset.productHandle : config.productHandle);
+    }
+
+    // Gallery image the visitor clicked
+    if (config.contentType === 'gallery') {
+      this.renderGallery(modalId);
+    }
+
+    // Show a discount code revealed on an earlier visit
+    if (this.hasDiscount(config) && this.getRevealedDiscount(modalId)) {
+      this.revealDiscount(modalId, { restore: true });
+    }
+
+    // Trap focus and hide the rest of the page from assistive technology
+    this.activateFocusTrap(modalId);
+
+    // Trigger animation, then move focus once the modal is visible
+    requestAnimationFrame(() => {
+      element.classList.add('modal--active');
+      this.focusInitialElement(modalId);
+    });
+
+    // Update state
+    const { requested, resumed } = config;
+    config.isShown = true;
+    config.lastShown = Date.now();
+    config.requested = false;
+    config.resumed = false;
+    this.queue.activeId = modalId;
+    this.queue.pending = this.queue.pending.filter(id => id !== modalId);
+
+    if (!config.preview) {
+      // Track display for frequency control, once per impression
+      if (!resumed) {
+        this.queue.shownCount++;
+        this.trackModalDisplay(modalId);
+      }
+
+      // Let the back button close a modal the visitor opened. Automatic
+      // popups leave the URL and its existing hash alone.
+      if (requested) this.pushModalHistory(modalId);
+    }
+
+    // Auto-close counts from when the modal is shown
+    if (config.autoCloseAfter > 0 && !config.devMode) {
+      config.autoCloseTimer = this.addTimer(config, () => {
+        if (config.isShown) {
+          this.closeModal(modalId, { reason: 'auto-close' });
+        }
+      }, config.autoCloseAfter * 1000);
+    } else if (config.devMode && config.autoCloseAfter > 0 && this.isDebugMode()) {
+      console.log(`Dev Mode: Auto-close disabled for modal ${modalId}`);
+    }
+    
+    // Lock body scroll
+    if (!config.scrollLocked) {
+      config.scrollLocked = true;
+      this.lockScroll();
+    }
+    
+    if (this.isDebugMode()) {
+      console.log(`Modal ${modalId}: Shown${config.devMode ? ' (DEV MODE)' : ''}`);
+    }
+
+    // Dispatch custom event
+    this.dispatchModalEvent('modal:shown', modalId, { config, variant: config.variant });
+    
+    // Report the impression to analytics
+    this.track('modal_shown', modalId);
+  }
+
+  /**
+   * Close modal with animations and state management
+   * @param {string} modalId - Modal identifier
+   * @param {Object} [options] - Close options
+   * @param {boolean} [options.force] - Close even when dev mode is enabled
+   * @param {boolean} [options.skipQueue] - Don't show the next queued modal afterwards
+   * @param {string} [options.reason] - Why the modal closed ('button', 'backdrop', 'escape',
+   *   'auto-close', 'form-submit', 'video-ended', 'parent-closed', 'schedule', 'replaced', 'destroyed' or 'api')
+   * @private
+   */
+  closeModal(modalId, options = {}) {
+    const config = this.modals.get(modalId);
+    if (!config || !config.isShown) return;
+
+    if (config.devMode && !options.force) {
+      if (this.isDebugMode()) {
+        console.log(`Dev Mode: Modal ${modalId} close prevented`);
+      }
+      return;
+    }
+
+    const element = config.element;
+
+    // Modals stacked on this one close first. Their history entries are
+    // left together with this modal's.
+    const children = this.stack.slice(this.stack.indexOf(modalId) + 1).reverse();
+    const childEntries = [];
+    children.forEach(childId => {
+      const child = this.modals.get(childId);
+      if (child.historyMode === 'push') childEntries.push(childId);
+      child.historyMode = null;
+      this.closeModal(childId, { force: true, skipQueue: true, reason: 'parent-closed' });
+    });
+    
+    // Hide animation
+    element.classList.remove('modal--active');
+    
+    // Wait for animation to complete
+    clearTimeout(config.autoCloseTimer);
+    config.hideTimer = setTimeout(() => {
+      element.style.display = 'none';
+      element.setAttribute('aria-hidden', 'true');
+      element.style.zIndex = '';
+    }, 300);
+
+    // Release focus trap and return focus to the opener
+    this.deactivateFocusTrap(modalId);
+
+    // Stop playback so audio doesn't continue behind the page
+    this.stopVideos(modalId);
+
+    // Update state
+    const reason = options.reason || 'api';
+    this.popModalHistory(modalId, reason, childEntries);
+    const timeOnModal = config.lastShown ? Math.round((Date.now() - config.lastShown) / 1000) : 0;
+    config.isShown = false;
+
+    // The parent becomes the top modal again
+    this.stack = this.stack.filter(id => id !== modalId);
+    if (this.queue.activeId === modalId) {
+      this.queue.activeId = this.stack[this.stack.length - 1] || null;
+    }
+
+    const parent = config.parentId ? this.modals.get(config.parentId) : null;
+    if (parent) {
+      parent.element.classList.remove('modal--covered', 'modal--covered-hidden');
+    }
+    config.parentId = null;
+    
+    // Restore body scroll once no other modal holds a lock
+    if (config.scrollLocked) {
+      config.scrollLocked = false;
+      this.unlockScroll();
+    }
+    
+    if (this.isDebugMode()) {
+      console.log(`Modal ${modalId}: Closed (${reason})`);
+    }
+
+    // Dispatch custom event
+    this.dispatchModalEvent('modal:closed', modalId, { config, variant: config.variant, reason, timeOnModal });
+
+    this.track('modal_closed', modalId, { close_reason: reason, time_on_modal: timeOnModal });
+
+    if (['button', 'backdrop', 'escape', 'history'].includes(reason)) {
+      this.recordOutcome(modalId, 'dismissed');
+    }
+
+    // Show the next queued modal after the close animation
+    if (!options.skipQueue) {
+      setTimeout(() => this.processQueue(), 300);
+    }
+  }
+
+  /**
+   * Push a modal onto the focus trap stack and make the rest of the page inert
+   * @param {string} modalId - Modal identifier
+   * @private
+   */
+  activateFocusTrap(modalId) {
+    const config = this.modals.get(modalId);
+    if (!config) return;
+
+    const opener = config.opener || document.activeElement;
+    config.opener = null;
+
+    this.focusTrap.stack = this.focusTrap.stack.filter(entry => entry.modalId !== modalId);
+    this.focusTrap.stack.push({
+      modalId,
+      opener: opener && opener !== document.body ? opener : null,
+      lastFocused: null
+    });
+
+    this.applyInert();
+  }
+
+  /**
+   * Remove a modal from the focus trap stack and restore focus.
+   * Focus returns to the modal's opener when it was the topmost trap,
+   * otherwise the remaining top modal keeps focus.
+   * @param {string} modalId - Modal identifier
+   * @private
+   */
+  deactivateFocusTrap(modalId) {
+    const stack = this.focusTrap.stack;
+    const index = stack.findIndex(entry => entry.modalId === modalId);
+    if (index === -1) return;
+
+    const [entry] = stack.splice(index, 1);
+    const wasTop = index === stack.length;
+
+    this.applyInert();
+
+    if (!wasTop) return;
+
+    const next = stack[stack.length - 1];
+    const nextConfig = next ? this.modals.get(next.modalId) : null;
+    const opener = entry.opener;
+    const openerUsable = opener && opener.isConnected && !opener.closest('[inert]') &&
+      (!nextConfig || nextConfig.element.contains(opener));
+
+    if (openerUsable) {
+      opener.focus({ preventScroll: true });
+    } else if (next) {
+      this.focusInitialElement(next.modalId);
+    }
+  }
+
+  /**
+   * Mark everything outside the topmost modal as inert.
+   * Elements are found by walking up from the modal and collecting the siblings
+   * of each ancestor; only attributes set here are removed again.
+   * @private
+   */
+  applyInert() {
+    this.focusTrap.inerted.forEach(({ element, ariaHidden }) => {
+      element.inert = false;
+      element.removeAttribute('inert');
+      if (ariaHidden === null) {
+        element.removeAttribute('aria-hidden');
+      } else {
+        element.setAttribute('aria-hidden', ariaHidden);
+      }
+    });
+    this.focusTrap.inerted = [];
+
+    const top = this.focusTrap.stack[this.focusTrap.stack.length - 1];
+    const config = top ? this.modals.get(top.modalId) : null;
+    if (!config) return;
+
+    let node = config.element;
+    while (node && node.parentElement && node !== document.body) {
+      Array.from(node.parentElement.children).forEach(sibling => {
+        if (sibling === node || sibling.inert || ['SCRIPT', 'STYLE', 'TEMPLATE', 'LINK'].includes(sibling.tagName)) {
+          return;
+        }
+
+        this.focusTrap.inerted.push({
+          element: sibling,
+          ariaHidden: sibling.getAttribute('aria-hidden')
+        });
+        sibling.inert = true;
+        sibling.setAttribute('inert', '');
+        sibling.setAttribute('aria-hidden', 'true');
+      });
+      node = node.parentElement;
+    }
+  }
+
+  /**
+   * Move focus into a modal, preferring an [autofocus] element
+   * @param {string} modalId - Modal identifier
+   * @private
+   */
+  focusInitialElement(modalId) {
+    const config = this.modals.get(modalId);
+    if (!config || !config.isShown) return;
+
+    const element = config.element;
+    if (element.contains(document.activeElement)) return;
+
+    const target = element.querySelector('[autofocus]') || this.getFocusableElements(element)[0];
+
+    if (target) {
+      target.focus({ preventScroll: true });
+    } else {
+      const content = element.querySelector('.modal__content') || element;
+      content.setAttribute('tabindex', '-1');
+      content.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * Get visible, focusable elements inside a container (iframes included)
+   * @param {HTMLElement} container - Container element
+   * @returns {HTMLElement[]} Focusable elements in DOM order
+   * @private
+   */
+  getFocusableElements(container) {
+    const selector = [
+      'a[href]',
+      'area[href]',
+      'button:not([disabled])',
+      'input:not([disabled]):not([type="hidden"])',
+      'select:not([disabled])',
+      'textarea:not([disabled])',
+      'iframe',
+      'audio[controls]',
+      'video[controls]',
+      '[contenteditable]:not([contenteditable="false"])',
+      '[tabindex]:not([tabindex="-1"])'
+    ].join(', ');
+
+    return Array.from(container.querySelectorAll(selector)).filter(el => {
+      return !el.closest('[inert]') && (el.offsetWidth || el.offsetHeight || el.getClientRects().length);
+    });
+  }
+
+  /**
+   * Get the focus trap entry of the topmost open modal
+   * @returns {Object|null} Focus trap entry
+   * @private
+   */
+  getTopFocusTrap() {
+    const stack = this.focusTrap.stack;
+    return stack.length ? stack[stack.length - 1] : null;
   }
 
   /**
-   * Setup event handlers for modal
-   * @param {HTMLElement} element - Modal DOM element
+   * Keep Tab and Shift+Tab cycling inside the topmost modal
+   * @param {KeyboardEvent} e - Keydown event
    * @private
    */
-  setupModalEvents(element) {
-    const modalId = element.dataset.modalId;
-    const config = this.modals.get(modalId);
+  handleFocusTrapKeydown(e) {
+    if (e.key !== 'Tab') return;
 
-    // Close button events
-    const closeButtons = element.querySelectorAll('[data-modal-close]');
-    closeButtons.forEach(button => {
-      button.addEventListener('click', (e) => {
-        e.preventDefault();
-        this.closeModal(modalId);
-      });
-    });
+    const top = this.getTopFocusTrap();
+    const config = top ? this.modals.get(top.modalId) : null;
+    if (!config) return;
 
-    // Backdrop click to close
-    const backdrop = element.querySelector('.modal__backdrop');
-    if (backdrop && config.closeOnOutsideClick) {
-      backdrop.addEventListener('click', () => this.closeModal(modalId));
+    const focusable = this.getFocusableElements(config.element);
+    if (!focusable.length) {
+      e.preventDefault();
+      return;
     }
 
-    // Escape key to close
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && config.isShown) {
-        this.closeModal(modalId);
-      }
-    });
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    const outside = !config.element.contains(active);
 
-    if (config.autoCloseAfter > 0 && !config.devMode) {
-      setTimeout(() => {
-        if (config.isShown) {
-          this.closeModal(modalId);
-        }
-      }, config.autoCloseAfter * 1000);
-    } else if (config.devMode && config.autoCloseAfter > 0 && this.isDebugMode()) {
-      console.log(`Dev Mode: Auto-close disabled for modal ${modalId}`);
+    if (e.shiftKey && (active === first || outside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (active === last || outside)) {
+      e.preventDefault();
+      first.focus();
     }
-
-    // Handle form submissions in modals
-    const forms = element.querySelectorAll('form');
-    forms.forEach(form => {
-      form.addEventListener('submit', (e) => {
-        if (this.isDebugMode()) {
-          console.log(`Form submitted in modal ${modalId}`);
-        }
-        
-        if (!form.action.includes('contact') && !form.action.includes('newsletter')) {
-          setTimeout(() => {
-            this.closeModal(modalId);
-          }, 1000);
-        }
-      });
-    });
-
-    // Handle theme block interactions
-    const buttons = element.querySelectorAll('.button, [role="button"]');
-    buttons.forEach(button => {
-      if (!button.hasAttribute('data-modal-close')) {
-        button.addEventListener('click', (e) => {
-          if (this.isDebugMode()) {
-            console.log(`Button clicked in modal ${modalId}:`, button.textContent?.trim());
-          }
-        });
-      }
-    });
   }
 
   /**
-   * Trigger modal display if conditions are met
-   * @param {string} modalId - Modal identifier
-   * @public
+   * Pull focus back into the topmost modal when it escapes.
+   * Keydown events inside iframes (video embeds) never reach this document,
+   * so tabbing out of an iframe is caught here instead.
+   * @param {FocusEvent} e - Focusin event
+   * @private
    */
-  triggerModal(modalId) {
-    const config = this.modals.get(modalId);
-    if (!config || config.isShown) return;
+  handleFocusTrapFocusIn(e) {
+    const top = this.getTopFocusTrap();
+    const config = top ? this.modals.get(top.modalId) : null;
+    if (!config) return;
 
-    if (!this.canShowModal(modalId, config.frequency)) {
-      if (this.isDebugMode()) {
-        console.log(`Modal ${modalId}: Blocked at trigger time (frequency)`);
-      }
+    if (config.element.contains(e.target)) {
+      top.lastFocused = e.target;
       return;
     }
 
-    this.showModal(modalId);
+    const focusable = this.getFocusableElements(config.element);
+    if (!focusable.length) {
+      this.focusInitialElement(top.modalId);
+      return;
+    }
+
+    const leftFromEnd = top.lastFocused === focusable[focusable.length - 1];
+    (leftFromEnd ? focusable[0] : focusable[focusable.length - 1]).focus();
   }
 
   /**
-   * Show modal with animations and state management
+   * Record an impression in the modal's history for frequency control
    * @param {string} modalId - Modal identifier
    * @private
    */
-  showModal(modalId) {
+  trackModalDisplay(modalId) {
     const config = this.modals.get(modalId);
-    if (!config) return;
-
-    const element = config.element;
-    
-    // Show the modal
-    element.style.display = 'block';
-    element.setAttribute('aria-hidden', 'false');
-    
-    // Trigger animation
-    requestAnimationFrame(() => {
-      element.classList.add('modal--active');
-    });
-
-    // Focus management
-    const firstFocusable = element.querySelector('button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])');
-    if (firstFocusable) {
-      firstFocusable.focus();
-    }
 
-    // Update state
-    config.isShown = true;
-    config.lastShown = Date.now();
+    if (this.device.isBot) return;
     
-    // Track display for frequency control
-    this.trackModalDisplay(modalId, config.frequency);
-    
-    // Lock body scroll
-    document.body.style.overflow = 'hidden';
-    
-    if (this.isDebugMode()) {
-      console.log(`Modal ${modalId}: Shown${config.devMode ? ' (DEV MODE)' : ''}`);
+    if (config && config.devMode) {
+      if (this.isDebugMode()) {
+        console.log(`Dev Mode: Frequency tracking disabled for modal ${modalId}`);
+      }
+      return;
     }
 
-    // Dispatch custom event
-    this.dispatchModalEvent('modal:shown', modalId, { config });
-    
-    // Integrate with theme analytics if available
-    if (window.gtag) {
-      window.gtag('event', 'modal_shown', {
-        'modal_id': modalId,
-        'trigger_type': config.triggerType
-      });
-    }
+    const history = this.getImpressionHistory(modalId);
+    history.count++;
+    history.impressions.push({ time: Date.now(), session: this.getSessionId(), outcome: null });
+    this.saveImpressionHistory(modalId, history);
+    this.broadcastSync('shown', modalId);
   }
 
   /**
-   * Close modal with animations and state management
+   * Send an analytics event to every available adapter.
+   * Built-in adapters only send when their global (gtag, dataLayer, fbq,
+   * Shopify.analytics) exists; custom adapters always receive the event.
+   * Theme editor previews are not reported.
+   * @param {string} eventName - Event name (e.g. 'modal_shown')
    * @param {string} modalId - Modal identifier
+   * @param {Object} [data] - Additional event properties
    * @private
    */
-  closeModal(modalId) {
+  track(eventName, modalId, data = {}) {
     const config = this.modals.get(modalId);
-    if (!config || !config.isShown) return;
+    if (config && config.preview) return;
 
-    if (config.devMode) {
-      if (this.isDebugMode()) {
-        console.log(`Dev Mode: Modal ${modalId} close prevented`);
+    const payload = {
+      modal_id: modalId,
+      trigger_type: config ? config.triggerType : null,
+      variant: config ? config.variant : null,
+      ...data
+    };
+
+    const send = (name, adapter) => {
+      try {
+        adapter(eventName, payload);
+      } catch (error) {
+        if (this.isDebugMode()) {
+          console.warn(`Modal Manager: Analytics adapter "${name}" failed`, error);
+        }
       }
-      return;
-    }
+    };
 
-    const element = config.element;
-    
-    // Hide animation
-    element.classList.remove('modal--active');
-    
-    // Wait for animation to complete
-    setTimeout(() => {
-      element.style.display = 'none';
-      element.setAttribute('aria-hidden', 'true');
-    }, 300);
+    Object.entries(this.analytics.adapters).forEach(([name, adapter]) => send(name, adapter));
+    this.analytics.custom.forEach(adapter => send('custom', adapter));
 
-    // Update state
-    config.isShown = false;
-    
-    // Restore body scroll
-    document.body.style.overflow = '';
-    
     if (this.isDebugMode()) {
-      console.log(`Modal ${modalId}: Closed`);
+      console.log(`Modal ${modalId}: Tracked ${eventName}`, payload);
+    }
+  }
+
+  /**
+   * Register a custom analytics adapter
+   * @param {Function} adapter - Called with (eventName, payload) for every tracked event
+   * @returns {Function} Unregisters the adapter
+   * @public
+   */
+  registerAnalytics(adapter) {
+    if (typeof adapter !== 'function') {
+      console.warn('Modal Manager: Analytics adapter must be a function');
+      return () => {};
     }
 
-    // Dispatch custom event
-    this.dispatchModalEvent('modal:closed', modalId, { config });
+    this.analytics.custom.add(adapter);
+    return () => this.analytics.custom.delete(adapter);
   }
 
   /**
-   * Track modal display for frequency control
-   * @param {string} modalId - Modal identifier
-   * @param {string} frequency - Frequency setting
+   * Report the result of a form submitted from a modal on the previous page.
+   * Shopify redirects with customer_posted=true or contact_posted=true on
+   * success and re-renders the form with errors otherwise.
    * @private
    */
-  trackModalDisplay(modalId, frequency) {
-    const config = this.modals.get(modalId);
-    
-    if (config && config.devMode) {
-      if (this.isDebugMode()) {
-        console.log(`Dev Mode: Frequency tracking disabled for modal ${modalId}`);
-      }
+  trackPendingFormResult() {
+    const key = this.storage.prefix + 'pending_form';
+    const raw = this.storage.session.getItem(key);
+    if (!raw) return;
+
+    this.storage.session.removeItem(key);
+
+    let pending;
+    try {
+      pending = JSON.parse(raw);
+    } catch (error) {
       return;
     }
 
-    const key = this.storage.prefix + modalId;
-    const now = Date.now();
+    const params = new URLSearchParams(window.location.search);
+    const posted = params.get('customer_posted') === 'true' || params.get('contact_posted') === 'true';
 
-    switch (frequency) {
-      case 'once-per-session':
-        this.storage.session.setItem(key + '_session', now.toString());
-        break;
-        
-      case 'once-per-day':
-        const todayKey = new Date().toDateString();
-        this.storage.local.setItem(key + '_day', todayKey);
-        break;
-        
-      case 'once-per-week':
-        const thisWeek = this.getWeekNumber();
-        this.storage.local.setItem(key + '_week', thisWeek.toString());
-        break;
+    this.track(posted ? 'modal_form_success' : 'modal_form_error', pending.modalId);
+    if (posted) {
+      this.recordOutcome(pending.modalId, 'converted', { suppressAfterConversion: pending.suppressAfterConversion });
     }
   }
 
   /**
-   * Handle page visibility changes
+   * Handle page visibility changes: pause and resume engaged time
    * @private
    */
   handleVisibilityChange() {
-    // Future: Could be used for additional exit intent logic
+    const engagement = this.engagement;
+
+    if (document.hidden) {
+      if (engagement.visibleSince) {
+        engagement.total += Date.now() - engagement.visibleSince;
+        engagement.visibleSince = null;
+      }
+    } else if (!engagement.visibleSince) {
+      engagement.visibleSince = Date.now();
+    }
+
+    engagement.subscribers.forEach(schedule => schedule());
+
+    // Timers are throttled in background tabs
+    if (!document.hidden && this.schedule.timer) {
+      this.checkSchedules();
+    }
   }
 
   /**
-   * Clean up old storage data
+   * Clean up old storage data in session and local storage: prune
+   * impressions older than the retention period (keeping the latest, which
+   * cooldowns need) and drop frequency keys from older versions.
+   * Keys are collected before removing so none are skipped.
    * @private
    */
   cleanupOldData() {
-    const oneWeekAgo = Date.now() - (7 * 24 * 60 * 60 * 1000);
-    
-    for (let i = 0; i < this.storage.session.length; i++) {
-      const key = this.storage.session.key(i);
-      if (key && key.startsWith(this.storage.prefix)) {
-        const value = this.storage.session.getItem(key);
-        if (value && parseInt(value) < oneWeekAgo) {
-          this.storage.session.removeItem(key);
+    const cutoff = Date.now() - this.history.maxAge;
+    const legacyKey = /_(session|day|week)$/;
+
+    [this.storage.session, this.storage.local].forEach(store => {
+      const keys = store.keys().filter(key => key.startsWith(this.storage.prefix));
+
+      keys.forEach(key => {
+        if (key.endsWith('_history')) {
+          const modalId = key.slice(this.storage.prefix.length, -'_history'.length);
+          const history = this.getImpressionHistory(modalId);
+          const latest = history.impressions[history.impressions.length - 1];
+          const kept = history.impressions.filter(impression => impression.time >= cutoff || impression === latest);
+
+          if (kept.length !== history.impressions.length) {
+            history.impressions = kept;
+            this.saveImpressionHistory(modalId, history);
+          }
+        } else if (legacyKey.test(key) && key !== this.storage.prefix + 'visitor_session') {
+          store.removeItem(key);
         }
-      }
-    }
+      });
+    });
   }
 
   /**
-   * Get current week number for frequency tracking
-   * @returns {number} Week number
+   * Get the ISO week of a date for frequency tracking, e.g. '2025-W01'.
+   * Weeks start on Monday and belong to the year of their Thursday,
+   * so they don't reset in the middle of a week at the turn of the year.
+   * @param {Date} date - Date
+   * @returns {string} Year and week number
    * @private
    */
-  getWeekNumber() {
-    const now = new Date();
-    const start = new Date(now.getFullYear(), 0, 1);
-    const diff = now - start;
-    return Math.ceil(diff / (7 * 24 * 60 * 60 * 1000));
+  getWeekKey(date) {
+    const day = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+    day.setUTCDate(day.getUTCDate() + 4 - (day.getUTCDay() || 7));
+    const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+    const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+    return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
   }
 
   /**
@@ -577,8 +5727,9 @@ class ModalManager {
    * @private
    */
   isDebugMode() {
+    const localStore = this.storage.backends.localStorage;
     return window.location.search.includes('modal_debug=true') || 
-           localStorage.getItem('modal_debug') === 'true';
+           (!!localStore && localStore.getItem('modal_debug') === 'true');
   }
 
   /**
@@ -599,10 +5750,335 @@ class ModalManager {
   /**
    * Public API: Show a modal
    * @param {string} modalId - Modal identifier
+   * @param {Object} [options] - Show options
+   * @param {boolean} [options.stack] - Open on top of the current modal instead of queueing
+   * @public
+   */
+  show(modalId, options = {}) {
+    this.requestModal(modalId, { manual: true, parent: options.stack ? this.queue.activeId : null });
+  }
+
+  /**
+   * Public API: Create and register a modal at runtime.
+   * Builds the same markup as snippets/modal.liquid. Content comes from
+   * options.html, options.element or options.url (loaded when first shown).
+   * @param {Object} options - Modal options
+   * @param {string} [options.id] - Unique modal identifier (generated when omitted)
+   * @param {string} [options.title] - Title text
+   * @param {string} [options.html] - Body HTML
+   * @param {HTMLElement} [options.element] - Element to move into the body
+   * @param {string} [options.url] - URL whose HTML is loaded into the body when shown
+   * @param {string} [options.section] - Section ID to load from options.url via the Section Rendering API
+   * @param {string} [options.selector] - Selector of the fragment to use from options.url
+   * @param {string} [options.triggerType] - Trigger type (default: 'manual')
+   * @param {string} [options.triggerValue] - Trigger value
+   * @param {string} [options.frequency] - Frequency (default: 'always')
+   * @param {string|number} [options.cooldown] - Minimum time between impressions ('12h', '3d' or hours)
+   * @param {number} [options.maxImpressions] - Stop showing after this many impressions
+   * @param {string} [options.buttonText] - Text of a closing action button
+   * @param {HTMLElement} [options.container] - Where to insert the modal (default: document.body)
+   * @returns {string|null} Modal identifier, or null if the ID is taken or the
+   *   modal may not show here (device, schedule, targeting rules or frequency)
+   * @public
+   */
+  create(options = {}) {
+    const modalId = options.id || `modal-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+    if (this.modals.has(modalId) || document.getElementById(modalId)) {
+      console.warn(`Modal ${modalId} already exists`);
+      return null;
+    }
+
+    const element = this.buildModalElement(modalId, options);
+    (options.container || document.body).appendChild(element);
+
+    if (!this.registerModal(modalId, this.parseModalConfig(element), element)) {
+      element.remove();
+      return null;
+    }
+
+    return modalId;
+  }
+
+  /**
+   * Build modal markup matching snippets/modal.liquid
+   * @param {string} modalId - Modal identifier
+   * @param {Object} options - Options passed to create()
+   * @returns {HTMLElement} Modal element
+   * @private
+   */
+  buildModalElement(modalId, options) {
+    const element = document.createElement('div');
+    const style = options.modalStyle || 'default';
+    const animation = options.animation || 'fade';
+
+    element.id = modalId;
+    element.className = `modal modal--${style} modal--${animation}`;
+    if (options.colorScheme) element.classList.add(`color-${options.colorScheme}`);
+
+    const data = {
+      modalTriggerType: options.triggerType || 'manual',
+      modalTriggerValue: options.triggerValue !== undefined ? options.triggerValue : '0',
+      modalFrequency: options.frequency || 'always',
+      modalDelay: options.delay || 0,
+      modalMobile: options.mobileEnabled !== false,
+      modalDesktop: options.desktopEnabled !== false,
+      modalBreakpoint: options.breakpoint || 0,
+      modalPointer: options.pointer || 'any',
+      modalOrientation: options.orientation || 'any',
+      modalCloseOutside: options.closeOnOutsideClick !== false,
+      modalAutoClose: options.autoCloseAfter || 0,
+      modalDevMode: !!options.devMode,
+      modalPriority: options.priority || 0,
+      modalConflict: options.conflict || 'queue',
+      modalContentType: options.contentType || 'content',
+      modalId
+    };
+    Object.entries(data).forEach(([key, value]) => {
+      element.dataset[key] = String(value);
+    });
+    if (options.rules) element.dataset.modalRules = JSON.stringify(options.rules);
+    if (options.url) element.dataset.modalSrc = options.url;
+    if (options.section) element.dataset.modalSrcSection = options.section;
+    if (options.selector) element.dataset.modalSrcSelector = options.selector;
+    if (options.productHandle) element.dataset.modalProductHandle = options.productHandle;
+    if (options.gallerySelector) element.dataset.modalGallerySelector = options.gallerySelector;
+    if (options.cooldown) element.dataset.modalCooldown = options.cooldown;
+    if (options.maxImpressions) element.dataset.modalMaxImpressions = options.maxImpressions;
+    if (options.suppressAfterConversion) element.dataset.modalSuppressAfterConversion = 'true';
+    if (options.showOnPageView) element.dataset.modalShowOnPageView = options.showOnPageView;
+    if (options.hashSync === false) element.dataset.modalHashSync = 'false';
+    if (options.parentDisplay) element.dataset.modalParentDisplay = options.parentDisplay;
+    if (options.scheduleStart) element.dataset.modalScheduleStart = options.scheduleStart;
+    if (options.scheduleEnd) element.dataset.modalScheduleEnd = options.scheduleEnd;
+    if (options.scheduleDays) element.dataset.modalScheduleDays = options.scheduleDays;
+    if (options.scheduleHours) element.dataset.modalScheduleHours = options.scheduleHours;
+    if (options.timezone) element.dataset.modalTimezone = options.timezone;
+    if (options.videoAutoplay === false) element.dataset.modalVideoAutoplay = 'false';
+    if (options.videoOnClose) element.dataset.modalVideoOnClose = options.videoOnClose;
+    if (options.closeOnVideoEnd) element.dataset.modalVideoCloseOnEnd = 'true';
+
+    element.style.display = 'none';
+    element.setAttribute('aria-hidden', 'true');
+    element.setAttribute('role', 'dialog');
+    element.setAttribute('aria-modal', 'true');
+
+    element.innerHTML = `
+      <div class="modal__backdrop"></div>
+      <div class="modal__container ${options.contentWidth || 'page-width'}">
+        <div class="modal__content modal__content--${options.contentType || 'content'}">
+          <div class="modal__body"></div>
+        </div>
+      </div>
+    `;
+
+    const content = element.querySelector('.modal__content');
+    const body = element.querySelector('.modal__body');
+
+    if (options.showCloseButton !== false) {
+      const closeButton = document.createElement('button');
+      closeButton.className = 'modal__close';
+      closeButton.setAttribute('aria-label', 'Close modal');
+      closeButton.setAttribute('data-modal-close', '');
+      closeButton.innerHTML = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg"><path d="M18 6L6 18M6 6L18 18" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>';
+      content.insertBefore(closeButton, body);
+    }
+
+    if (options.title) {
+      const title = document.createElement('h2');
+      title.id = `${modalId}-title`;
+      title.className = 'modal__title';
+      title.textContent = options.title;
+      content.insertBefore(title, body);
+      element.setAttribute('aria-labelledby', title.id);
+    }
+
+    if (options.element) {
+      body.appendChild(options.element);
+    } else if (options.html) {
+      body.innerHTML = options.html;
+    } else if (options.videoUrl) {
+      const wrapper = document.createElement('div');
+      wrapper.className = 'modal__video-wrapper';
+      wrapper.dataset.modalVideo = options.videoUrl;
+      body.appendChild(wrapper);
+    }
+
+    if (options.buttonText) {
+      const actions = document.createElement('div');
+      actions.className = 'modal__actions';
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'modal__button modal__button--primary';
+      button.setAttribute('data-modal-close', '');
+      button.textContent = options.buttonText;
+      actions.appendChild(button);
+      content.appendChild(actions);
+    }
+
+    return element;
+  }
+
+  /**
+   * Public API: Open a modal and wait for it to close
+   * @param {string} modalId - Modal identifier
+   * @returns {Promise<Object>} Resolves with { reason, result } once the modal closes,
+   *   where result is the last form result (or null); reason is 'dropped' when it never opened
+   * @public
+   */
+  open(modalId) {
+    const config = this.modals.get(modalId);
+    if (!config) {
+      return Promise.reject(new Error(`Modal ${modalId} is not registered`));
+    }
+
+    return new Promise(resolve => {
+      let result = null;
+
+      const onFormResult = (e) => {
+        if (e.detail.modalId === modalId) result = e.detail.result;
+      };
+
+      const finish = (reason) => {
+        document.removeEventListener('modal:form-success', onFormResult);
+        document.removeEventListener('modal:form-error', onFormResult);
+        document.removeEventListener('modal:closed', onClosed);
+        document.removeEventListener('modal:dropped', onDropped);
+        resolve({ reason, result });
+      };
+
+      // A modal replaced by a higher priority one is queued to resume
+      const onClosed = (e) => {
+        if (e.detail.modalId !== modalId || (e.detail.reason === 'replaced' && config.resumed)) return;
+        finish(e.detail.reason);
+      };
+
+      // Left the queue without opening: page limit, frequency or destroyed
+      const onDropped = (e) => {
+        if (e.detail.modalId === modalId) finish('dropped');
+      };
+
+      document.addEventListener('modal:form-success', onFormResult);
+      document.addEventListener('modal:form-error', onFormResult);
+      document.addEventListener('modal:closed', onClosed);
+      document.addEventListener('modal:dropped', onDropped);
+
+      this.show(modalId);
+
+      if (!config.isShown && !this.queue.pending.includes(modalId)) {
+        finish('dropped');
+      }
+    });
+  }
+
+  /**
+   * Public API: Close a modal and remove its listeners, timers and
+   * subscriptions, leaving its DOM in place. discoverModals() or refresh()
+   * registers it again.
+   * @param {string} modalId - Modal identifier
+   * @returns {boolean} Whether the modal was registered
+   * @public
+   */
+  unregisterModal(modalId) {
+    const config = this.modals.get(modalId);
+    if (!config) return false;
+
+    if (config.isShown) {
+      this.closeModal(modalId, { force: true, reason: 'destroyed' });
+    }
+
+    this.stopVideos(modalId, { unload: true });
+    this.teardownModal(modalId);
+    this.targeting.skipped.delete(modalId);
+
+    if (this.isDebugMode()) {
+      console.log(`Modal ${modalId}: Unregistered`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Public API: Re-scan the page after AJAX navigation or content changes.
+   * Modals whose element left the DOM are unregistered and new modal
+   * elements are registered.
+   * @param {Object} [options] - Refresh options
+   * @param {boolean} [options.navigation] - A new page was rendered: count a page view
+   *   and reset the per-page cap
+   * @public
+   */
+  refresh(options = {}) {
+    this.modals.forEach((config, modalId) => {
+      if (!config.element.isConnected) this.unregisterModal(modalId);
+    });
+
+    if (options.navigation) {
+      this.targeting.utm = this.trackUtmParams();
+      this.targeting.visitor = this.trackVisitor();
+      this.targeting.skipped.clear();
+      this.queue.shownCount = 0;
+    }
+
+    this.discoverModals();
+  }
+
+  /**
+   * Public API: Close a modal, remove its listeners and its DOM
+   * @param {string} modalId - Modal identifier
+   * @returns {boolean} Whether the modal existed
+   * @public
+   */
+  destroy(modalId) {
+    const config = this.modals.get(modalId);
+    if (!config) return false;
+
+    this.unregisterModal(modalId);
+    config.element.remove();
+
+    if (this.isDebugMode()) {
+      console.log(`Modal ${modalId}: Destroyed`);
+    }
+
+    return true;
+  }
+
+  /**
+   * Public API: Open a product quick view modal for a product
+   * @param {string} modalId - Identifier of a modal with the 'product' content type
+   * @param {string} handle - Product handle
+   * @public
+   */
+  quickView(modalId, handle) {
+    const config = this.modals.get(modalId);
+    if (!config) return;
+
+    config.productHandle = handle;
+
+    if (config.isShown) {
+      this.loadProduct(modalId, handle);
+    } else {
+      this.show(modalId);
+    }
+  }
+
+  /**
+   * Public API: Open a gallery modal with a list of images
+   * @param {string} modalId - Identifier of a modal with the 'gallery' content type
+   * @param {Array<Object|string>} images - Image URLs or { src, alt, caption }
+   * @param {number} [index] - Image to start with
    * @public
    */
-  show(modalId) {
-    this.showModal(modalId);
+  openGallery(modalId, images, index = 0) {
+    const config = this.modals.get(modalId);
+    if (!config || !Array.isArray(images) || !images.length) return;
+
+    this.setGalleryItems(modalId, images, index);
+
+    if (config.isShown) {
+      this.renderGallery(modalId);
+    } else {
+      this.show(modalId);
+    }
   }
 
   /**
@@ -611,7 +6087,7 @@ class ModalManager {
    * @public
    */
   hide(modalId) {
-    this.closeModal(modalId);
+    this.closeModal(modalId, { reason: 'api' });
   }
 
   /**
@@ -619,24 +6095,24 @@ class ModalManager {
    * @public
    */
   hideAll() {
+    [...this.queue.pending].forEach(id => this.dropQueuedModal(id, 'api'));
     this.modals.forEach((config, modalId) => {
       if (config.isShown) {
-        this.closeModal(modalId);
+        this.closeModal(modalId, { reason: 'api' });
       }
     });
   }
 
   // Reset frequency tracking for a modal
   /**
-   * Reset frequency tracking for a modal
+   * Reset frequency tracking for a modal: impressions, outcomes and suppression
    * @param {string} modalId - Modal identifier
    * @public
    */
   resetFrequency(modalId) {
-    const key = this.storage.prefix + modalId;
-    this.storage.session.removeItem(key + '_session');
-    this.storage.local.removeItem(key + '_day');
-    this.storage.local.removeItem(key + '_week');
+    this.storage.local.removeItem(this.storage.prefix + modalId + '_history');
+    this.storage.session.setItem(this.storage.prefix + 'shown_elsewhere',
+      JSON.stringify(this.getShownElsewhere().filter(id => id !== modalId)));
     
     if (this.isDebugMode()) {
       console.log(`Modal ${modalId}: Frequency tracking reset`);
@@ -651,20 +6127,31 @@ class ModalManager {
    */
   getStatus(modalId) {
     const config = this.modals.get(modalId);
+    const blockingRule = this.getBlockingRule(modalId);
     return config ? {
       isRegistered: true,
       isShown: config.isShown,
       lastShown: config.lastShown,
-      canShow: this.canShowModal(modalId, config.frequency),
+      canShow: this.canShowModal(modalId, config) && !blockingRule && this.isWithinSchedule(config),
       devMode: config.devMode,
       triggerType: config.triggerType,
-      frequency: config.frequency
+      frequency: config.frequency,
+      impressions: this.getImpressionHistory(modalId).count,
+      suppressed: this.getImpressionHistory(modalId).suppressed,
+      priority: config.priority,
+      isQueued: this.queue.pending.includes(modalId),
+      variant: config.variant,
+      step: config.stepState ? config.stepState.current : null,
+      blockedBy: blockingRule ? this.describeRule(blockingRule)
+        : !this.isWithinSchedule(config) ? 'outside schedule' : this.getFrequencyBlock(modalId, config)
     } : {
       isRegistered: false,
       isShown: false,
       lastShown: null,
       canShow: false,
-      devMode: false
+      devMode: false,
+      blockedBy: blockingRule ? this.describeRule(blockingRule)
+        : this.schedule.skipped.has(modalId) ? 'outside schedule' : null
     };
   }
 }
@@ -679,7 +6166,7 @@ const modalManager = new ModalManager();
  * Provides public methods for interacting with modals
  */
 window.ModalManager = {
-  show: (modalId) => modalManager.show(modalId),
+  show: (modalId, options) => modalManager.show(modalId, options),
   hide: (modalId) => modalManager.hide(modalId),
   hideAll: () => modalManager.hideAll(),
   forceClose: (modalId) => {
@@ -690,19 +6177,26 @@ window.ModalManager = {
       console.log(`Force closing modal ${modalId} (bypassing dev mode)`);
     }
     
-    const element = config.element;
-    element.classList.remove('modal--active');
-    setTimeout(() => {
-      element.style.display = 'none';
-      element.setAttribute('aria-hidden', 'true');
-    }, 300);
-    
-    config.isShown = false;
-    document.body.style.overflow = '';
-    modalManager.dispatchModalEvent('modal:closed', modalId, { config });
+    modalManager.closeModal(modalId, { force: true, reason: 'api' });
   },
   resetFrequency: (modalId) => modalManager.resetFrequency(modalId),
+  setStorageConsent: (allowed) => modalManager.setStorageConsent(allowed),
   getStatus: (modalId) => modalManager.getStatus(modalId),
+  getVariant: (modalId) => modalManager.getVariant(modalId),
+  registerAnalytics: (adapter) => modalManager.registerAnalytics(adapter),
+  create: (options) => modalManager.create(options),
+  open: (modalId) => modalManager.open(modalId),
+  quickView: (modalId, handle) => modalManager.quickView(modalId, handle),
+  openGallery: (modalId, images, index) => modalManager.openGallery(modalId, images, index),
+  destroy: (modalId) => modalManager.destroy(modalId),
+  unregisterModal: (modalId) => modalManager.unregisterModal(modalId),
+  refresh: (options) => modalManager.refresh(options),
+  goToStep: (modalId, stepName) => modalManager.goToStep(modalId, stepName),
+  resetSteps: (modalId) => modalManager.resetSteps(modalId),
+  getQueue: () => [...modalManager.queue.pending],
+  setMaxPerPage: (max) => {
+    modalManager.queue.maxPerPage = parseInt(max) || 0;
+  },
   
   // Development helpers
   listModals: () => {